@@ -0,0 +1,1276 @@
+// app.js
+// The upsell server as an app factory: createApp({ config, payments }) builds the
+// Express app around a payment provider - lib/payments/stripe.js in production
+// (server.js), the in-memory lib/payments/fake.js in the tests.
+import { fileURLToPath } from "node:url";
+import express from "express";
+import cors from "cors";
+import { createAdminRouter } from "./lib/admin.js";
+import { createAuditLog } from "./lib/audit.js";
+import { createAdminAuth } from "./lib/auth.js";
+import { createCallbacks } from "./lib/callbacks.js";
+import { renderLogoCarousel } from "./lib/carousel.js";
+import { createCartValidator, parseCart } from "./lib/cart.js";
+import { createCatalogue } from "./lib/catalogue.js";
+import { verifyConfig } from "./lib/config.js";
+import { createCreditCoupons } from "./lib/coupons.js";
+import { createEntitlements } from "./lib/entitlements.js";
+import { createFramingPolicy, html, parseTheme, raw } from "./lib/embed.js";
+import { createErrorLog } from "./lib/error-log.js";
+import { asyncRoute, errorEnvelope, errorHandler, HttpError, notFoundAs } from "./lib/errors.js";
+import { createFulfilment } from "./lib/fulfilment.js";
+import { createFunnel, CSV_GROUPS, funnelCsv, reportRange } from "./lib/funnel.js";
+import { createIdempotency, stripeIdempotencyKey } from "./lib/idempotency.js";
+import { createLedger } from "./lib/ledger.js";
+import { configureLogger, log, requestContext, withRequestId } from "./lib/logger.js";
+import { createLogos } from "./lib/logos.js";
+import { createMailer } from "./lib/mailer.js";
+import { idOf } from "./lib/payments/ids.js";
+import { createPricingOffers, renderPricingWidget } from "./lib/pricing-widget.js";
+import { matchesOrigin } from "./lib/origins.js";
+import { maskEmail } from "./lib/redact.js";
+import { createRateLimit, createMemoryStore, createRedisStore, withLock } from "./lib/rate-limit.js";
+import { createRecovery } from "./lib/recovery.js";
+import { createRedirectPolicy } from "./lib/redirects.js";
+import { createSubscriptions } from "./lib/subscriptions.js";
+import { createTaxPolicy } from "./lib/tax.js";
+import { createUpgradeLadder, creditCap } from "./lib/tiers.js";
+import { createCheckoutIdentity, verifyCheckoutToken } from "./lib/tokens.js";
+import {
+  amountInCurrency,
+  createConverter,
+  currenciesOf,
+  formatMoney,
+  GEO_HEADERS,
+  isCurrencyCode,
+  resolveCurrency,
+} from "./lib/currency.js";
+import {
+  combineHandlers,
+  createFulfilmentHandlers,
+  createSessionFulfiller,
+  createStripeWebhookHandler,
+} from "./lib/webhooks.js";
+
+// config comes from loadConfig() (lib/config.js); configProblems are its shape
+// warnings, repeated on /health/ready. payments is null when no key is set.
+export async function createApp({ config, configProblems = [], payments = null }) {
+  configureLogger({ level: config.logLevel });
+  const app = express();
+  app.set("trust proxy", config.trustProxy);
+
+  // Request IDs and request log lines first, so everything below has them
+  app.use(requestContext());
+  app.use(errorEnvelope());
+
+  // ---- CORS ----
+  const allowed = config.allowedOrigins;
+
+  app.use(
+    cors((req, cb) => {
+      const origin = req.get("origin");
+      // Our own pages (e.g. /pricing-widget posting to /checkout/upgrade) send an Origin too
+      const sameOrigin = origin === `${req.protocol}://${req.get("host")}`;
+      if (!origin) return cb(null, { origin: true, credentials: true }); // allow same-origin/fetch
+      if (allowed.length === 0 || sameOrigin) return cb(null, { origin: true, credentials: true }); // allow all if not set
+      const ok = matchesOrigin(allowed, origin);
+      cb(ok ? null : new HttpError(403, "forbidden", "Origin not allowed", origin), { origin: ok, credentials: true });
+    })
+  );
+
+  // Custom success/cancel URLs must be on REDIRECT_ALLOWLIST (or ALLOWED_ORIGINS)
+  const redirects = createRedirectPolicy({
+    allowedOrigins: config.redirectAllowlist,
+    profiles: config.redirectProfiles
+  });
+
+  // Catalogue cache behind /prices (refreshed in the background every config.catalogueTtlSeconds)
+  const catalogue = createCatalogue({
+    payments,
+    productIds: config.productIds,
+    priceIds: [
+      config.bundlePriceId,
+      ...config.subscriptionPriceIds,
+      ...(config.upgradeTiersSource === "file" ? config.upgradeTiers.tiers.map(tier => tier.priceId) : [])
+    ].filter(Boolean),
+    ttlMs: config.catalogueTtlSeconds * 1000
+  });
+
+  // Upgrade tiers and which ones credit towards which (UPGRADE_TIERS, or the
+  // legacy BUNDLE_PRICE_ID + SINGLE_UPGRADE_PRODUCT_IDS rule)
+  const ladder = createUpgradeLadder({
+    catalogue,
+    source: config.upgradeTiers,
+    bundlePriceId: config.bundlePriceId,
+    singleUpgradeProductIds: config.singleUpgradeProductIds,
+    creditScope: config.creditScope
+  });
+
+  // ---- Webhooks ----
+  // Must be registered before express.json() - signature checks need the raw body
+  const fulfilment = createFulfilment();
+  const ledger = createLedger({ payments });
+  const subscriptions = createSubscriptions({ payments, planPriceIds: config.subscriptionPriceIds });
+
+  // ---- Callbacks to the job board (CALLBACK_URL) ----
+  const callbacks = createCallbacks({
+    url: config.callbackUrl,
+    secret: config.callbackSecret,
+    events: config.callbackEvents,
+    maxAttempts: config.callbackMaxAttempts,
+    timeoutMs: config.callbackTimeoutSeconds * 1000
+  });
+
+  // { jobId, tier (the highest-ranked one), tiers, amount, currency, customer, ...details }.
+  // Never throws - a callback problem must not fail the webhook that caused it.
+  // job is the fulfilment record, for the customer's Stripe ID and email.
+  async function sendJobCallback(type, id, { jobId, rows, amount, currency, job, ...details }) {
+    if (!callbacks.enabled) return;
+    try {
+      const tierIds = [...new Set(rows.map(row => row.upgrade))];
+      const { tiers } = await ladder.get();
+      const ranked = tiers.filter(tier => tierIds.includes(tier.id)).sort((a, b) => b.rank - a.rank);
+      callbacks.send(type, id, {
+        jobId,
+        tier: ranked[0]?.id || tierIds[0] || null,
+        tiers: tierIds,
+        amount,
+        currency,
+        customer: { id: job?.customer || null, email: job?.email || null },
+        ...details
+      });
+    } catch (err) {
+      log.error("Could not queue job board callback", { type, jobId, error: err });
+    }
+  }
+
+  // Checkout sessions this server creates (metadata.source)
+  const CHECKOUT_SOURCES = ["golf-jobs-upgrade", "golf-jobs-subscription", "credit-checkout"];
+
+  // ---- Abandoned checkout recovery (SMTP_URL, PUBLIC_URL) ----
+  const recovery = createRecovery({
+    payments,
+    mailer: createMailer({ url: config.smtpUrl, from: config.mailFrom }),
+    publicUrl: config.publicUrl,
+    sources: CHECKOUT_SOURCES,
+    emailsPerDay: config.recoveryEmailsPerDay,
+    linkDays: config.recoveryLinkDays
+  });
+
+  // Conversion funnel events for GET /reports/funnel
+  const funnel = createFunnel();
+
+  // purchase.completed / purchase.refunded from lib/webhooks.js
+  async function handleFulfilmentEvent(type, { session, charge, job, entitlements: rows, stillUpgraded }) {
+    if (type === "purchase.completed") {
+      recovery.markConverted({ email: job.email, jobId: session.metadata.jobId });
+    }
+    const refund = type === "purchase.refunded";
+    await sendJobCallback(type, `${type}:${session.id}`, {
+      jobId: session.metadata.jobId,
+      rows,
+      amount: refund ? charge.amount_refunded : session.amount_total,
+      currency: refund ? charge.currency : session.currency,
+      job,
+      sessionId: session.id,
+      subscriptionId: job.subscriptionId || null,
+      ...(refund && { stillUpgraded })
+    });
+  }
+
+  // What each job has bought and until when (GET /entitlements). Expired rows
+  // downgrade the job once nothing else is keeping it upgraded.
+  function handleEntitlementEvent(type, entitlement) {
+    log.info("Entitlement event", { type, jobId: entitlement.jobId, upgrade: entitlement.upgrade, expiresAt: entitlement.expiresAt });
+    if (type !== "upgrade.expired") return;
+
+    const stillUpgraded = entitlements.hasLive(entitlement.jobId);
+    if (!stillUpgraded) {
+      fulfilment.markDowngraded(entitlement.jobId, { sessionId: entitlement.sessionId, reason: "expired" });
+    }
+    // What was paid for this upgrade (nothing for plan-covered rows)
+    const paid = ledger
+      .purchasesForJob(entitlement.jobId)
+      .filter(row => row.sessionId === entitlement.sessionId && row.productId === entitlement.productId);
+    sendJobCallback(type, `${type}:${entitlement.id}`, {
+      jobId: entitlement.jobId,
+      rows: [entitlement],
+      amount: paid.reduce((sum, row) => sum + row.amountPaid, 0),
+      currency: paid[0]?.currency || null,
+      job: fulfilment.getStatus(entitlement.jobId),
+      sessionId: entitlement.sessionId,
+      subscriptionId: entitlement.subscriptionId,
+      expiredAt: entitlement.expiresAt,
+      stillUpgraded
+    });
+  }
+  const entitlements = createEntitlements({
+    ladder,
+    durations: config.entitlementDurations,
+    defaultDays: config.entitlementDefaultDays,
+    onEvent: handleEntitlementEvent
+  });
+
+  // A lapsed plan takes back the upgrades it was covering
+  function downgradeSubscriptionJobs(subscription) {
+    entitlements.revokeSubscription(subscription.id, `subscription_${subscription.status}`);
+    for (const jobId of fulfilment.jobsForSubscription(subscription.id)) {
+      fulfilment.markDowngraded(jobId, { sessionId: null, reason: `subscription_${subscription.status}` });
+    }
+  }
+
+  app.post(
+    "/webhooks/stripe",
+    express.raw({ type: "application/json" }),
+    createStripeWebhookHandler({
+      payments,
+      secret: config.stripeWebhookSecret,
+      handlers: combineHandlers(
+        createFulfilmentHandlers({ payments, fulfilment, ledger, entitlements, onEvent: handleFulfilmentEvent }),
+        catalogue.webhookHandlers(),
+        subscriptions.webhookHandlers({ onLapse: downgradeSubscriptionJobs }),
+        recovery.webhookHandlers(),
+        funnel.webhookHandlers({ ledger })
+      ),
+    })
+  );
+
+  app.use(express.json());
+
+  // Credit in other currencies converts via config.currencyRates
+  const convertCurrency = createConverter(config.currencyRates);
+
+  // VAT, VAT numbers and invoices on the sessions we create (TAX_MODE...)
+  const tax = createTaxPolicy({
+    mode: config.taxMode,
+    rateIds: config.taxRateIds,
+    behavior: config.taxBehavior,
+    collectTaxIds: config.taxIdCollection,
+    invoices: config.invoiceCreation,
+    invoiceFooter: config.invoiceFooter
+  });
+
+  // Bundle credit coupons: reused while valid, swept every config.couponCleanupHours
+  const creditCoupons = createCreditCoupons({ payments });
+
+  // What GET/POST /checkout will sell: active catalogue prices + the upgrade tiers
+  const validateCart = createCartValidator({
+    catalogue,
+    ladder,
+    ledger,
+    subscriptionPriceIds: config.subscriptionPriceIds
+  });
+
+  // Who is checking out: taken from the signed token the main app passes
+  // (?token=, body.token or X-Checkout-Token), never from the body itself
+  const checkoutIdentity = createCheckoutIdentity({
+    secret: config.checkoutTokenSecret,
+    allowUnsigned: config.allowUnsignedCheckout,
+    maxAgeSeconds: config.checkoutTokenMaxAgeSeconds
+  });
+
+  // ---- Rate limits ----
+  // Counters and the credit checkout lock live in Redis when REDIS_URL is set
+  // (several instances), otherwise in this process.
+  async function openLimitStore() {
+    if (!config.redisUrl) return createMemoryStore();
+    try {
+      const { createClient } = await import("redis");
+      // Give up rather than retry forever if Redis isn't there at startup -
+      // connect() would otherwise never settle and the server never listen.
+      // Once connected, a dropped connection is retried with backoff, and
+      // commands fail straight away meanwhile (so the limits fail open)
+      // instead of queueing until Redis is back.
+      let connected = false;
+      const client = createClient({
+        url: config.redisUrl,
+        disableOfflineQueue: true,
+        socket: {
+          connectTimeout: 5000,
+          reconnectStrategy: retries => (connected ? Math.min(retries * 100, 3000) : false)
+        }
+      });
+      client.on("error", err => log.error("Redis error", { error: err }));
+      client.on("ready", () => { connected = true; });
+      await client.connect();
+      return createRedisStore(client);
+    } catch (err) {
+      log.error("Could not connect to REDIS_URL - using in-memory rate limits", { error: err });
+      return createMemoryStore();
+    }
+  }
+  const limitStore = await openLimitStore();
+  const windowMs = config.rateLimitWindowSeconds * 1000;
+
+  // Per IP before the token is even checked; per email once we know who it is
+  const perIpLimit = createRateLimit({ store: limitStore, name: "ip", limit: config.rateLimitPerIp, windowMs, key: req => req.ip });
+  const identityGuards = [
+    perIpLimit,
+    checkoutIdentity,
+    createRateLimit({
+      store: limitStore,
+      name: "email",
+      limit: config.rateLimitPerEmail,
+      windowMs,
+      key: req => req.checkoutIdentity?.email?.toLowerCase()
+    })
+  ];
+  // Repeats (double-clicks, client retries) get the first response back
+  const checkoutGuards = [
+    ...identityGuards,
+    createIdempotency({ windowMs: config.idempotencyWindowSeconds * 1000 })
+  ];
+
+  // Recent request failures, shown in the admin API
+  const errorLog = createErrorLog();
+
+  // Every route that talks to Stripe
+  function requirePayments(req, res, next) {
+    next(payments ? undefined : new HttpError(500, "not_configured", "Server missing STRIPE_SECRET_KEY"));
+  }
+
+  // Small helper: describe a catalogue product with its active price in the requested
+  // currency (falls back to the first active price if none is sold in that currency)
+  function describeProduct(product, currency = config.defaultCurrency) {
+    // If product retrieval failed or auth failed, bubble a helpful error
+    if (product.error) return { error: product.error };
+    if (product.prices.length === 0) return { error: "No active prices found for this product" };
+
+    const p = product.prices.find(price => amountInCurrency(price, currency) != null) || product.prices[0];
+    const chosen = amountInCurrency(p, currency) != null ? currency : p.currency;
+    return {
+      unit_amount: amountInCurrency(p, chosen),
+      currency: chosen,
+      price_id: p.id,
+      currencies: currenciesOf(p),
+      name: product.name,
+      description: product.description,
+      images: product.images,
+      features: product.features,
+      metadata: product.metadata,
+      prices: product.prices.map(price => ({
+        price_id: price.id,
+        unit_amount: amountInCurrency(price, chosen) ?? price.unit_amount,
+        currency: amountInCurrency(price, chosen) != null ? chosen : price.currency,
+        currencies: currenciesOf(price),
+        recurring: price.recurring,
+        nickname: price.nickname,
+        lookup_key: price.lookup_key,
+      })),
+    };
+  }
+
+  // A tier's value in the requested currency, read from its Stripe price (and its
+  // currency_options) rather than hardcoded. Falls back to the price's own currency.
+  async function getTierPrice(priceId, currency) {
+    const { prices } = await catalogue.get();
+    const price = prices[priceId] ||
+      await payments.retrievePrice(priceId);
+    const chosen = amountInCurrency(price, currency) != null ? currency : price.currency;
+    return {
+      priceId: price.id,
+      productId: idOf(price.product),
+      amount: amountInCurrency(price, chosen),
+      currency: chosen,
+      currencies: currenciesOf(price),
+      taxBehavior: tax.behaviorOf(price),
+    };
+  }
+
+  // Whether a tier's price includes VAT, for credit outside a checkout (admin, widget)
+  async function tierTaxBehavior(tier) {
+    if (tax.mode === "off" || !tier.priceId) return tax.behaviorOf(null);
+    const { prices } = await catalogue.get();
+    return tax.behaviorOf(prices[tier.priceId] || await payments.retrievePrice(tier.priceId));
+  }
+
+  // ---- Routes ----
+  app.get("/health", (req, res) => {
+    res.json({
+      status: "ok",
+      stripe: !!payments,
+      productIds: config.productIds.length,
+      bundleConfigured: !!config.bundlePriceId,
+      singleUpgradeProducts: config.singleUpgradeProductIds.length,
+      webhookConfigured: !!config.stripeWebhookSecret
+    });
+  });
+
+  // Liveness: the process is up and serving requests
+  app.get("/health/live", (req, res) => {
+    res.set("Cache-Control", "no-store");
+    res.json({ status: "ok", uptime: Math.round(process.uptime()) });
+  });
+
+  // Readiness: every configured product/price checked out against Stripe.
+  // Results are cached and re-checked in the background every few minutes.
+  const READINESS_RECHECK_MS = 5 * 60 * 1000;
+  let readiness = { checkedAt: 0, checks: [] };
+  let readinessCheck = null;
+
+  function checkReadiness() {
+    readinessCheck ||= verifyConfig(config, payments)
+      .then(checks => {
+        readiness = { checkedAt: Date.now(), checks };
+        return readiness;
+      })
+      .finally(() => {
+        readinessCheck = null;
+      });
+    return readinessCheck;
+  }
+
+  app.get("/health/ready", (req, res) => {
+    res.set("Cache-Control", "no-store");
+    if (!readiness.checkedAt) {
+      return res.status(503).json({ status: "starting" });
+    }
+    if (Date.now() - readiness.checkedAt > READINESS_RECHECK_MS) {
+      checkReadiness().catch(err => log.error("Readiness check failed", { error: err }));
+    }
+
+    const failed = readiness.checks.filter(check => !check.ok);
+    res.status(failed.length ? 503 : 200).json({
+      status: failed.length ? "not_ready" : "ready",
+      checkedAt: new Date(readiness.checkedAt).toISOString(),
+      failed,
+      passed: readiness.checks.filter(check => check.ok).map(check => check.name),
+      warnings: configProblems.map(problem => `${problem.setting} ${problem.message}`)
+    });
+  });
+
+  // Human-friendly diagnostics - served at /admin/diag behind admin auth
+  function diagnostics() {
+    return {
+      env: {
+        hasStripeKey: !!config.stripeSecretKey,
+        productIdsCount: config.productIds.length,
+        mode: config.stripeMode || "unknown",
+        bundleConfigured: !!config.bundlePriceId,
+        upgradeTiers: config.upgradeTiersSource,
+        creditScope: config.creditScope,
+        defaultCurrency: config.defaultCurrency,
+        currencyRates: config.currencyRates,
+        singleUpgradeProductsCount: config.singleUpgradeProductIds.length,
+        subscriptionPlansCount: config.subscriptionPriceIds.length,
+        webhookConfigured: !!config.stripeWebhookSecret,
+        callbacksConfigured: callbacks.enabled,
+        recoveryEmails: !!(config.smtpUrl && config.publicUrl),
+        taxMode: config.taxMode,
+        taxIdCollection: config.taxIdCollection,
+        invoiceCreation: config.invoiceCreation,
+        logLevel: config.logLevel
+      },
+      allowedOrigins: allowed,
+      configProblems,
+      configChecks: readiness.checks,
+    };
+  }
+
+  const logos = createLogos({ file: config.logosFile });
+
+  // ---- Admin API (bearer ADMIN_TOKEN or basic auth from ADMIN_USERS) ----
+  const requireAdmin = createAdminAuth({ token: config.adminToken, users: config.adminUsers });
+  const audit = createAuditLog();
+  app.use(
+    "/admin",
+    createAdminRouter({
+      requireAdmin,
+      audit,
+      errorLog,
+      diagnostics,
+      payments,
+      ledger,
+      fulfilment,
+      fulfilSession: createSessionFulfiller({ fulfilment, ledger, entitlements, onEvent: handleFulfilmentEvent }),
+      creditCoupons,
+      credit: {
+        ladder,
+        currency: config.defaultCurrency,
+        convert: convertCurrency,
+        taxBehaviorFor: tierTaxBehavior
+      },
+      logos,
+      callbacks
+    })
+  );
+
+  // ---- Reports (same auth as the admin API) ----
+  // ?from=&to= (YYYY-MM-DD, default the last 30 days), ?product=, ?source= (metadata.source).
+  // ?format=csv returns one table: ?by=day (default), product or source.
+  app.get("/reports/funnel", requireAdmin, (req, res) => {
+    res.set("Cache-Control", "no-store");
+    const range = reportRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error, details: range.details });
+    }
+    const format = (req.query.format || "json").toString();
+    const by = (req.query.by || "day").toString();
+    if (!["json", "csv"].includes(format)) {
+      return res.status(400).json({ error: "format must be json or csv", details: format });
+    }
+    if (format === "csv" && !CSV_GROUPS.includes(by)) {
+      return res.status(400).json({ error: `by must be one of ${CSV_GROUPS.join(", ")}`, details: by });
+    }
+
+    const filters = {
+      product: req.query.product ? req.query.product.toString() : undefined,
+      source: req.query.source ? req.query.source.toString() : undefined
+    };
+    audit.record(req, "report.funnel", { ...range, ...filters, format });
+    const report = funnel.report({ ...range, ...filters });
+
+    if (format === "csv") {
+      res.type("text/csv");
+      res.attachment(`funnel-${range.from}-${range.to}-by-${by}.csv`);
+      return res.send(funnelCsv(report, by));
+    }
+    res.json(report);
+  });
+
+  // Prices endpoint consumed by your front-end
+  app.get("/prices", requirePayments, asyncRoute(async (req, res) => {
+    res.set("Cache-Control", "public, max-age=60"); // cache 60s at edge/browsers
+    if (config.productIds.length === 0) {
+      return res.json({}); // graceful empty map if none configured
+    }
+
+    // ?currency=usd, else inferred from the visitor's country header
+    const currency = resolveCurrency(req, { fallback: config.defaultCurrency });
+    if (!req.query.currency) res.vary(GEO_HEADERS.join(", "));
+
+    // Served from the catalogue cache; stale data is still served if Stripe is down
+    const { products, fetchedAt, stale, lastError } = await catalogue.get();
+    if (stale || lastError) res.set("X-Catalogue-Stale", "true");
+    res.set("Last-Modified", new Date(fetchedAt).toUTCString());
+
+    const results = {};
+    for (const pid of config.productIds) {
+      results[pid] = products[pid] ? describeProduct(products[pid], currency) : { error: "Product not loaded" };
+    }
+
+    funnel.pricesServed();
+    res.json(results);
+  }));
+
+  // Upgrade a job through the customer's plan (no checkout). Returns what the
+  // routes send back in place of a Stripe URL.
+  async function coverWithPlan(plan, { jobId, email }) {
+    if (jobId) {
+      await entitlements.grantForSubscription({ jobId, subscriptionId: plan.id });
+      fulfilment.markUpgraded(jobId, {
+        subscriptionId: plan.id,
+        customer: plan.customer,
+        email,
+        source: "subscription",
+        reason: "subscription"
+      });
+    }
+    return {
+      subscription: plan.id,
+      status: plan.status,
+      currentPeriodEnd: plan.currentPeriodEnd,
+      jobId: jobId || null
+    };
+  }
+
+  // ===== EXISTING CHECKOUT ENDPOINT - UPDATED WITH EMAIL TEMPLATE =====
+  // Shared by GET /checkout (redirect) and POST /checkout (JSON cart).
+  // Returns { session }, { covered } when the customer's plan already includes the
+  // upgrades, or { status, error, details } for a rejected cart/redirect.
+  async function createCartCheckout({ items, email, jobId, profile, success, cancel, currency, requestKey }) {
+    // Redirect targets: a named profile, or caller URLs on an allowed origin
+    const redirect = redirects.resolve({ profile: profile || "upgrade", success, cancel });
+    if (redirect.error) {
+      return { status: 400, error: redirect.error, details: redirect.details };
+    }
+    if (currency !== undefined && currency !== "" && !isCurrencyCode(currency)) {
+      return { status: 400, error: "currency must be a three-letter currency code", details: currency };
+    }
+
+    // Only catalogue prices, and only in combinations that make sense for the job
+    const cart = await validateCart(items, { jobId });
+    if (cart.error) {
+      return { status: 400, error: cart.error, details: cart.details };
+    }
+
+    // Subscribers never pay for upgrades - their plan covers the job instead
+    const plan = email ? subscriptions.activeFor({ email }) : null;
+    if (cart.mode === "subscription" && plan) {
+      return { status: 409, error: "You already have an active plan - manage it from the billing portal", details: plan.id };
+    }
+    if (plan && cart.upgradeProductIds.length > 0) {
+      if (cart.upgradeProductIds.length < cart.productIds.length) {
+        return { status: 409, error: "Your plan already includes upgrades - remove them from the cart", details: plan.id };
+      }
+      return { covered: await coverWithPlan(plan, { jobId, email }), redirectUrl: redirect.success };
+    }
+
+    log.info("Creating checkout session", { prices: cart.lineItems.map(item => item.price), jobId });
+
+    // Success page looks the purchase up via /checkout/session/:id. The old
+    // e={CUSTOMER_EMAIL} param is only kept while config.legacyEmailInSuccessUrl=true.
+    const successUrl = redirect.success;
+    const successParams = config.legacyEmailInSuccessUrl
+      ? "session_id={CHECKOUT_SESSION_ID}&e={CUSTOMER_EMAIL}"
+      : "session_id={CHECKOUT_SESSION_ID}";
+    const successUrlWithSession = `${successUrl}${successUrl.includes('?') ? '&' : '?'}${successParams}`;
+
+    // Create Stripe Checkout Session
+    const params = {
+      payment_method_types: ["card"],
+      line_items: cart.lineItems.map(tax.lineItem),
+      mode: cart.mode,
+      success_url: successUrlWithSession,
+      cancel_url: redirect.cancel,
+      ...(currency ? { currency: currency.toLowerCase() } : {}),  // for prices with currency_options
+      ...(email ? { customer_email: email } : {}),
+      allow_promotion_codes: true,  // Allow discount codes
+      billing_address_collection: "required",
+      metadata: withRequestId({
+        source: "golf-jobs-upgrade",
+        jobId: jobId || ""  // read by the webhook to fulfil the upgrade
+      }),
+      ...tax.sessionParams({ mode: cart.mode, metadata: { jobId: jobId || "" } })
+    };
+    if (cart.mode === "subscription") {
+      params.metadata.source = "golf-jobs-subscription";
+      params.subscription_data = { metadata: { jobId: jobId || "", email: email || "" } };
+    }
+    const session = await payments.createCheckoutSession(params, {
+      idempotencyKey: stripeIdempotencyKey("cart-checkout", requestKey, params)
+    });
+
+    log.info("Checkout session created", { sessionId: session.id, jobId });
+    funnel.checkoutCreated(session, { productIds: cart.productIds, email });
+    return { session };
+  }
+
+  app.get("/checkout", requirePayments, checkoutGuards, asyncRoute(async (req, res) => {
+    const { pid, success, cancel, currency, return: profile } = req.query;
+    const { email, jobId } = req.checkoutIdentity;
+
+    if (!pid) {
+      return res.status(400).json({ error: "Missing price ID parameter" });
+    }
+
+    // Parse price IDs (handle single or comma-separated)
+    const parsed = parseCart(pid);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const result = await createCartCheckout({
+      items: parsed.items, email, jobId, profile, success, cancel, currency, requestKey: req.idempotencyKey
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, details: result.details });
+    }
+    if (result.covered) {
+      return res.redirect(303, result.redirectUrl);
+    }
+
+    // Redirect to Stripe Checkout
+    res.redirect(303, result.session.url);
+  }));
+
+  // JSON cart variant: { token, items: [{ price, quantity }], return | success/cancel, currency }
+  app.post("/checkout", requirePayments, checkoutGuards, asyncRoute(async (req, res) => {
+    const { items, success, cancel, currency, return: profile } = req.body || {};
+    const { email, jobId } = req.checkoutIdentity;
+
+    const parsed = parseCart(items);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const result = await createCartCheckout({
+      items: parsed.items, email, jobId, profile, success, cancel, currency, requestKey: req.idempotencyKey
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, details: result.details });
+    }
+    if (result.covered) {
+      return res.json({ coveredBySubscription: result.covered, url: result.redirectUrl });
+    }
+
+    res.json({ id: result.session.id, url: result.session.url });
+  }));
+
+  // Only sessions this server created (CHECKOUT_SOURCES) are visible; anything
+  // else is a 404 like a session that doesn't exist
+  async function retrieveOwnSession(id, options) {
+    const notFound = new HttpError(404, "not_found", "Checkout session not found");
+    if (!/^cs_(test|live)_[A-Za-z0-9]+$/.test(id)) throw notFound;
+    const session = await payments.retrieveCheckoutSession(id, options).catch(notFoundAs(notFound.message));
+    if (!CHECKOUT_SOURCES.includes(session.metadata?.source)) throw notFound;
+    return session;
+  }
+
+  // Receipt summary for the success page. The email is masked.
+  app.get("/checkout/session/:id", requirePayments, asyncRoute(async (req, res) => {
+    res.set("Cache-Control", "no-store");
+    const session = await retrieveOwnSession(req.params.id, { lineItems: true });
+
+    res.json({
+      id: session.id,
+      status: session.status,
+      paymentStatus: session.payment_status,
+      currency: session.currency,
+      amountSubtotal: session.amount_subtotal,
+      amountDiscount: session.total_details?.amount_discount || 0,
+      amountTax: session.total_details?.amount_tax || 0,
+      amountPaid: session.payment_status === "paid" ? session.amount_total : 0,
+      amountTotal: session.amount_total,
+      creditApplied: Number(session.metadata?.credit_applied || 0),
+      jobId: session.metadata?.jobId || null,
+      email: maskEmail(session.customer_details?.email || session.metadata?.email),
+      lineItems: (session.line_items?.data || []).map(item => ({
+        name: item.price?.product?.name || item.description,
+        productId: item.price?.product?.id || null,
+        quantity: item.quantity,
+        amountSubtotal: item.amount_subtotal,
+        amountDiscount: item.amount_discount || 0,
+        amountTax: item.amount_tax || 0,
+        amountTotal: item.amount_total
+      })),
+      createdAt: new Date(session.created * 1000).toISOString()
+    });
+  }));
+
+  // VAT invoice and card receipt for a paid session, for the success page's
+  // download links. invoice is null when the session wasn't invoiced (INVOICE_CREATION
+  // off, or a free checkout); its pdfUrl stays null until Stripe finalises it.
+  app.get("/checkout/session/:id/receipt", requirePayments, asyncRoute(async (req, res) => {
+    res.set("Cache-Control", "no-store");
+    const session = await retrieveOwnSession(req.params.id);
+    if (session.payment_status === "unpaid") {
+      return res.status(409).json({ error: "Checkout session is not paid yet", details: session.status });
+    }
+
+    const invoiceId = idOf(session.invoice);
+    const invoice = invoiceId ? await payments.retrieveInvoice(invoiceId) : null;
+    const paymentIntent = idOf(session.payment_intent);
+    const charges = paymentIntent ? await payments.listCharges(paymentIntent) : [];
+
+    res.json({
+      sessionId: session.id,
+      paymentStatus: session.payment_status,
+      currency: session.currency,
+      amountTotal: session.amount_total,
+      amountTax: session.total_details?.amount_tax || 0,
+      taxIds: (session.customer_details?.tax_ids || []).map(({ type, value }) => ({ type, value })),
+      invoice: invoice
+        ? {
+            id: invoice.id,
+            number: invoice.number,
+            status: invoice.status,
+            pdfUrl: invoice.invoice_pdf || null,
+            hostedUrl: invoice.hosted_invoice_url || null
+          }
+        : null,
+      receiptUrl: charges.find(charge => charge.receipt_url)?.receipt_url || null
+    });
+  }));
+
+  // ========== UPGRADE CHECKOUT (CREDIT FROM LOWER TIERS) ==========
+  // Buys a tier from the upgrade ladder with whatever the customer already paid for
+  // the tiers it credits from. Shared by POST /checkout/upgrade and abandoned-checkout
+  // recovery links. Returns { result } (the JSON response), { busy } while another
+  // checkout holds the customer's lock, or { status, error, details }. Throws an
+  // HttpError when the ladder is misconfigured.
+  async function createUpgradeCheckout({ email, jobId, requestedTier, redirect, currency: requestedCurrency, requestKey }) {
+    const upgrades = await ladder.get();
+    if (upgrades.tiers.length === 0) {
+      throw new HttpError(500, 'not_configured', 'Upgrade tiers not configured', 'Set UPGRADE_TIERS or BUNDLE_PRICE_ID');
+    }
+
+    const tier = upgrades.tier(requestedTier || upgrades.defaultTier);
+    if (!tier) {
+      return { status: 400, error: 'Unknown upgrade tier', details: requestedTier };
+    }
+    if (!tier.priceId) {
+      throw new HttpError(500, 'not_configured', 'Upgrade tier has no price', tier.id);
+    }
+    if (tier.creditScope === 'job' && tier.creditFrom.length > 0 && !jobId) {
+      return { status: 400, error: 'Credit for this upgrade is per job - the checkout token needs a jobId' };
+    }
+
+    log.info('Processing upgrade checkout', { tier: tier.id, jobId });
+
+    // Active subscribers already have every tier
+    const plan = subscriptions.activeFor({ email });
+    if (plan) {
+      log.info('Customer is on a plan - skipping checkout', { customer: plan.customer, subscriptionId: plan.id });
+      return {
+        result: {
+          alreadyCovered: true,
+          tier: tier.id,
+          message: `Your plan already includes ${tier.name}!`,
+          redirectUrl: redirect.success,
+          coveredBySubscription: await coverWithPlan(plan, { jobId, email })
+        }
+      };
+    }
+
+    // One credit checkout per customer at a time - parallel requests would each
+    // find no reusable coupon and mint their own. A second request waits for the
+    // first and then reuses its coupon.
+    const locked = await withLock(limitStore, `credit-checkout:${email.toLowerCase()}`, async () => {
+      // Find or create customer
+      let customer;
+      const existingCustomers = await payments.listCustomersByEmail(email, { limit: 1 });
+
+      if (existingCustomers.length > 0) {
+        customer = existingCustomers[0];
+        log.info('Found existing customer', { customer: customer.id });
+      } else {
+        customer = await payments.createCustomer({
+          email: email,
+          metadata: withRequestId({ jobId: jobId || '' })
+        });
+        log.info('Created new customer', { customer: customer.id });
+      }
+
+      // Tier value and currency come from the Stripe price itself
+      const target = await getTierPrice(tier.priceId, requestedCurrency);
+      const { currency } = target;
+
+      // Calculate credit from previous purchases of the tiers this one takes credit from
+      // (local ledger, net of refunds and disputes) - the customer's, or just this job's.
+      // Purchases in other currencies only count if config.currencyRates can convert them.
+      // Tiers that take no credit ignore manual grants too (as the pricing widget does).
+      const credit = tier.creditProductIds.length === 0
+        ? { total: 0, currency, breakdown: [] }
+        : ledger.creditFor({
+          customer: customer.id,
+          email,
+          jobId: tier.creditScope === 'job' ? jobId : undefined,
+          productIds: tier.creditProductIds,
+          currency,
+          taxBehavior: target.taxBehavior,
+          convert: convertCurrency
+        });
+      let totalCredit = credit.total;
+
+      for (const purchase of credit.breakdown) {
+        log.debug('Found creditable purchase', {
+          productId: purchase.productId,
+          credit: formatMoney(purchase.credit, currency),
+          paid: formatMoney(purchase.amountPaid, purchase.currency)
+        });
+      }
+
+      // Cap credit at the tier's maxCredit and never above its price
+      const originalCredit = totalCredit;
+      totalCredit = Math.min(totalCredit, target.amount, creditCap(tier, currency) ?? Infinity);
+
+      log.info('Credit worked out', {
+        customer: customer.id,
+        credit: formatMoney(totalCredit, currency),
+        uncapped: formatMoney(originalCredit, currency)
+      });
+
+      // If they've already paid the tier's price or more, skip checkout
+      if (totalCredit >= target.amount) {
+        log.info('Credit covers the whole tier - skipping checkout', { tier: tier.id, customer: customer.id });
+        return {
+          alreadyCovered: true,
+          tier: tier.id,
+          message: `You already have ${tier.name}!`,
+          redirectUrl: redirect.success,
+          currency,
+          creditBreakdown: credit.breakdown
+        };
+      }
+
+      // Apply their credit as a one-off promotion code (reused if one is still valid)
+      let promotionCode = null;
+
+      if (totalCredit > 0) {
+        promotionCode = await creditCoupons.issue({
+          customer: customer.id,
+          email,
+          jobId,
+          amount: totalCredit,
+          currency,
+          productId: tier.productId,
+          creditScope: tier.creditScope
+        });
+      }
+
+      // Create checkout session
+      const sessionConfig = {
+        payment_method_types: ['card'],
+        customer: customer.id,
+        line_items: [
+          tax.lineItem({
+            price: tier.priceId,
+            quantity: 1
+          })
+        ],
+        mode: 'payment',
+        currency,
+        success_url: `${redirect.success}${redirect.success.includes('?') ? '&' : '?'}session_id={CHECKOUT_SESSION_ID}`,
+        cancel_url: redirect.cancel,
+        metadata: withRequestId({
+          jobId: jobId || '',
+          tier: tier.id,
+          credit_applied: totalCredit,
+          currency,
+          email: email,
+          source: 'credit-checkout'
+        }),
+        ...tax.sessionParams({ mode: 'payment', customer: customer.id, metadata: { jobId: jobId || '', tier: tier.id } })
+      };
+
+      // Add promotion code if we created one
+      if (promotionCode) {
+        sessionConfig.discounts = [{
+          promotion_code: promotionCode.id
+        }];
+      }
+
+      // Same request (see lib/idempotency.js) with the same parameters = same session
+      const session = await payments.createCheckoutSession(sessionConfig, {
+        idempotencyKey: stripeIdempotencyKey('upgrade-credit', requestKey, sessionConfig)
+      });
+
+      log.info('Checkout session created', {
+        sessionId: session.id,
+        jobId,
+        balanceDue: formatMoney(target.amount - totalCredit, currency)
+      });
+      funnel.checkoutCreated(session, { productIds: [tier.productId || target.productId].filter(Boolean), email });
+
+      // Return the checkout URL
+      return {
+        url: session.url,
+        tier: tier.id,
+        currency,
+        credit: totalCredit,
+        balance: target.amount - totalCredit,
+        creditBreakdown: credit.breakdown
+      };
+    });
+    return locked.busy ? { busy: true } : { result: locked.result };
+  }
+
+  // { token, tier, return }. /checkout/credit is the original bundle endpoint, kept
+  // as an alias - without a tier it buys the top one.
+  app.post(['/checkout/upgrade', '/checkout/credit'], requirePayments, checkoutGuards, asyncRoute(async (req, res) => {
+    // Identity comes from the signed token - a body email/jobId is ignored
+    const { email, jobId } = req.checkoutIdentity;
+    const { return: profile, tier: requestedTier } = req.body;
+
+    // Validate inputs
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    // Only named profiles here - no caller-supplied URLs
+    const redirect = redirects.resolve({ profile: profile || 'account' });
+    if (redirect.error) {
+      return res.status(400).json({ error: redirect.error, details: redirect.details });
+    }
+
+    const checkout = await createUpgradeCheckout({
+      email,
+      jobId,
+      requestedTier,
+      redirect,
+      currency: resolveCurrency(req, { fallback: config.defaultCurrency }),
+      requestKey: req.idempotencyKey
+    });
+    if (checkout.error) {
+      return res.status(checkout.status).json({ error: checkout.error, details: checkout.details });
+    }
+    if (checkout.busy) {
+      res.set('Retry-After', '5');
+      return res.status(409).json({ error: 'A checkout for this customer is already in progress' });
+    }
+    res.json(checkout.result);
+  }));
+
+  // ---- Abandoned checkout recovery links ----
+  // The link in the reminder email. Mail scanners open links before the customer
+  // does, so GET only shows a button; the POST it makes creates a fresh Checkout
+  // session for the same cart or tier. Credit checkouts work their credit out
+  // again - normally the same amount, so the same promotion code is reused.
+  function recoveryPage(message, form = raw("")) {
+    return html`<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"><title>Golf Jobs checkout</title>
+<meta name="viewport" content="width=device-width, initial-scale=1"></head>
+<body style="font-family:system-ui,sans-serif;max-width:32rem;margin:3rem auto;padding:0 1rem">
+<p>${message}</p>${form}</body></html>`;
+  }
+
+  app.get("/checkout/recover/:token", perIpLimit, (req, res) => {
+    res.set("Cache-Control", "no-store");
+    const checkout = recovery.find(req.params.token);
+    if (!checkout) {
+      return res.status(404).type("html").send(recoveryPage("This checkout link has expired."));
+    }
+    // Already paid for since - nothing to finish
+    if (checkout.status === "converted") {
+      return res.redirect(303, redirects.resolve({ profile: "account" }).success);
+    }
+    const what = checkout.itemNames.length ? checkout.itemNames.join(" + ") : "your upgrade";
+    res.type("html").send(recoveryPage(
+      `Pick up your checkout for ${what} where you left off.`,
+      raw(html`<form method="post"><button type="submit">Continue to checkout</button></form>`)
+    ));
+  });
+
+  app.post("/checkout/recover/:token", perIpLimit, requirePayments, asyncRoute(async (req, res) => {
+    res.set("Cache-Control", "no-store");
+    const checkout = recovery.find(req.params.token);
+    if (!checkout) {
+      return res.status(404).type("html").send(recoveryPage("This checkout link has expired."));
+    }
+
+    const { email, jobId } = checkout;
+    if (checkout.status === "converted") {
+      return res.redirect(303, redirects.resolve({ profile: "account" }).success);
+    }
+
+    const requestKey = `recover:${checkout.id}:${checkout.recoveries}`;
+    let url;
+    if (checkout.source === "credit-checkout") {
+      const redirect = redirects.resolve({ profile: "account", success: checkout.successUrl, cancel: checkout.cancelUrl });
+      if (redirect.error) {
+        return res.status(400).json({ error: redirect.error, details: redirect.details });
+      }
+      const result = await createUpgradeCheckout({
+        email, jobId, requestedTier: checkout.tier, redirect, currency: checkout.currency, requestKey
+      });
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error, details: result.details });
+      }
+      if (result.busy) {
+        res.set("Retry-After", "5");
+        return res.status(409).json({ error: "A checkout for this customer is already in progress" });
+      }
+      url = result.result.url || result.result.redirectUrl;
+    } else {
+      const result = await createCartCheckout({
+        items: checkout.items,
+        email,
+        jobId,
+        success: checkout.successUrl,
+        cancel: checkout.cancelUrl,
+        currency: checkout.currency,
+        requestKey
+      });
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error, details: result.details });
+      }
+      url = result.covered ? result.redirectUrl : result.session.url;
+    }
+
+    recovery.markRecovered(checkout);
+    res.redirect(303, url);
+  }));
+
+  // Unsubscribe from reminders. GET asks first (mail scanners follow links);
+  // POST is the button, and the one-click List-Unsubscribe-Post from mail clients.
+  app.get("/checkout/recover/:token/opt-out", perIpLimit, (req, res) => {
+    res.set("Cache-Control", "no-store");
+    const checkout = recovery.find(req.params.token, { includeExpired: true });
+    if (!checkout) {
+      return res.status(404).type("html").send(recoveryPage("This link is not valid."));
+    }
+    if (recovery.isOptedOut(checkout.email)) {
+      return res.type("html").send(recoveryPage("You won't get any more checkout reminders."));
+    }
+    res.type("html").send(recoveryPage(
+      `Stop sending checkout reminders to ${checkout.email}?`,
+      raw(html`<form method="post"><button type="submit">Unsubscribe</button></form>`)
+    ));
+  });
+
+  app.post("/checkout/recover/:token/opt-out", perIpLimit, (req, res) => {
+    res.set("Cache-Control", "no-store");
+    const checkout = recovery.find(req.params.token, { includeExpired: true });
+    if (!checkout) {
+      return res.status(404).type("html").send(recoveryPage("This link is not valid."));
+    }
+    recovery.optOut(checkout.email);
+    res.type("html").send(recoveryPage("You won't get any more checkout reminders."));
+  });
+
+  // ---- Entitlements ----
+  // What a job has bought and until when, for the job board. No customer details.
+  const MAX_BATCH_JOBS = 500;
+
+  app.get("/entitlements", (req, res) => {
+    const jobId = (req.query.jobId || "").toString();
+    if (!jobId) {
+      return res.status(400).json({ error: "jobId query parameter is required" });
+    }
+    res.set("Cache-Control", "public, max-age=60");
+    res.json(entitlements.forJob(jobId));
+  });
+
+  // { jobIds: [...] } -> { jobs: { [jobId]: { upgrades, expiresAt, entitlements } } }
+  app.post("/entitlements/batch", (req, res) => {
+    const { jobIds } = req.body || {};
+    if (!Array.isArray(jobIds) || jobIds.length === 0 || jobIds.length > MAX_BATCH_JOBS) {
+      return res.status(400).json({ error: `jobIds must be an array of 1-${MAX_BATCH_JOBS} job IDs` });
+    }
+    const jobs = {};
+    for (const jobId of new Set(jobIds.map(String))) {
+      jobs[jobId] = entitlements.forJob(jobId);
+    }
+    res.set("Cache-Control", "no-store");
+    res.json({ checkedAt: new Date().toISOString(), jobs });
+  });
+
+  // Stripe customer portal for managing cards and cancelling plans: { token, return }
+  app.post("/billing/portal", requirePayments, identityGuards, asyncRoute(async (req, res) => {
+    res.set("Cache-Control", "no-store");
+    const { email } = req.checkoutIdentity;
+    if (!email) {
+      return res.status(400).json({ error: "Email is required" });
+    }
+    // Named profiles only; the portal's "back" link goes to the profile's cancel URL
+    const redirect = redirects.resolve({ profile: req.body?.return || "account" });
+    if (redirect.error) {
+      return res.status(400).json({ error: redirect.error, details: redirect.details });
+    }
+
+    const plan = subscriptions.activeFor({ email });
+    const customer = plan?.customer || (await payments.listCustomersByEmail(email, { limit: 1 }))[0]?.id;
+    if (!customer) {
+      return res.status(404).json({ error: "No billing account found for this email" });
+    }
+
+    const session = await payments.createPortalSession({
+      customer,
+      return_url: redirect.cancel,
+      ...(config.billingPortalConfiguration ? { configuration: config.billingPortalConfiguration } : {})
+    });
+    res.json({ url: session.url });
+  }));
+
+  // Logo carousel, embedded by partner sites:
+  // /logo-carousel?title=&speed=&greyscale=&bg=&text=&accent=
+  app.get("/logo-carousel", createFramingPolicy({ allowedOrigins: allowed }), (req, res) => {
+    const theme = parseTheme(req.query, { title: "Trusted by Leading Golf Employers" });
+    res.set("Cache-Control", "public, max-age=300");
+    res.type("html").send(renderLogoCarousel({ logos: logos.list(), theme }));
+  });
+
+  // ---- Pricing widget ----
+  // Embeddable upgrade picker: /pricing-widget?token=&return=&currency= plus the
+  // carousel's theme parameters. Partner pages normally load it through
+  // /pricing-widget.js, which creates and sizes the iframe.
+  const pricingOffers = createPricingOffers({
+    catalogue,
+    ladder,
+    ledger,
+    entitlements,
+    subscriptions,
+    convert: convertCurrency,
+    taxBehaviorOf: tax.behaviorOf,
+    productIds: config.productIds,
+    allowUnsigned: config.allowUnsignedCheckout
+  });
+  const PUBLIC_DIR = new URL("./public/", import.meta.url);
+
+  app.get(
+    "/pricing-widget",
+    createFramingPolicy({ allowedOrigins: allowed, scriptSources: ["'self'"], connectSources: ["'self'"] }),
+    asyncRoute(async (req, res) => {
+      const theme = parseTheme(req.query, { title: "Upgrade your listing", greyscale: false });
+      const token = typeof req.query.token === "string" ? req.query.token : null;
+      const profile = typeof req.query.return === "string" ? req.query.return : null;
+
+      // Only a signed token reveals credit - never an email in the query string
+      let identity = null;
+      let notice = null;
+      if (token && config.checkoutTokenSecret) {
+        const verified = verifyCheckoutToken(token, config.checkoutTokenSecret, {
+          maxAgeSeconds: config.checkoutTokenMaxAgeSeconds
+        });
+        if (verified.error) notice = "Your session has expired - refresh the page to see your credit.";
+        else identity = verified;
+      }
+
+      const currency = resolveCurrency(req, { fallback: config.defaultCurrency });
+      if (!req.query.currency) res.vary(GEO_HEADERS.join(", "));
+      res.set("Cache-Control", token ? "no-store" : "public, max-age=60");
+
+      try {
+        const view = await pricingOffers({ identity, currency });
+        res.type("html").send(renderPricingWidget(view, {
+          theme,
+          token: identity ? token : null,
+          profile,
+          embedded: req.query.embed === "1",
+          notice,
+          scriptUrl: "/pricing-widget/frame.js"
+        }));
+      } catch (error) {
+        // An HTML page, so not the JSON envelope - but logged the same way
+        log.error("Request failed", { route: "GET /pricing-widget", status: 500, error });
+        errorLog.record("GET /pricing-widget", error, { requestId: req.id, jobId: identity?.jobId || null });
+        res.status(500).type("html").send("<!DOCTYPE html><p>Upgrades are unavailable right now.</p>");
+      }
+    })
+  );
+
+  // The embed script for partner pages, and the script the widget page runs
+  app.get("/pricing-widget.js", (req, res) => {
+    res.sendFile(fileURLToPath(new URL("pricing-widget.js", PUBLIC_DIR)), { maxAge: "5m" });
+  });
+  app.get("/pricing-widget/frame.js", (req, res) => {
+    res.sendFile(fileURLToPath(new URL("pricing-widget-frame.js", PUBLIC_DIR)), { maxAge: "5m" });
+  });
+
+  // Fallback for root (not used by your front-end)
+  app.get("/", (req, res) => {
+    res.status(404).send("Use /prices, /checkout, /checkout/upgrade, /checkout/credit, /checkout/session/:id, /checkout/session/:id/receipt, /checkout/recover/:token, /billing/portal, /entitlements, /pricing-widget, /logo-carousel, /webhooks/stripe, /reports/funnel, /admin, or /health");
+  });
+
+  // Anything a route throws or passes to next(): logged once, answered with the
+  // error envelope (lib/errors.js)
+  app.use(errorHandler({ errorLog }));
+
+  // Expiring-soon warnings and expiry of finished upgrades (tests pass a later `now`)
+  function sweepEntitlements(now = Date.now()) {
+    const result = entitlements.sweep({ warnMs: config.expiryWarningDays * 24 * 60 * 60 * 1000, now });
+    if (result.warned || result.expired) {
+      log.info("Entitlement sweep", { warned: result.warned, expired: result.expired });
+    }
+    return result;
+  }
+
+  // Scheduled work for a long-running server; server.js starts it, tests don't
+  function startJobs() {
+    if (config.entitlementSweepMinutes > 0) {
+      sweepEntitlements();
+      setInterval(sweepEntitlements, config.entitlementSweepMinutes * 60 * 1000).unref();
+    }
+
+    // Job board callbacks waiting out their backoff (including any left from before a restart)
+    if (callbacks.enabled && config.callbackRetrySeconds > 0) {
+      const retryCallbacks = () =>
+        callbacks.retryDue().catch(err => log.error("Callback retry failed", { error: err }));
+      retryCallbacks();
+      setInterval(retryCallbacks, config.callbackRetrySeconds * 1000).unref();
+    }
+
+    if (payments && config.couponCleanupHours > 0) {
+      setInterval(() => {
+        creditCoupons.cleanup().catch(err => log.error("Scheduled coupon cleanup failed", { error: err }));
+      }, config.couponCleanupHours * 60 * 60 * 1000).unref();
+    }
+  }
+
+  // Lets tests (and a graceful shutdown) drop the Redis connection
+  async function close() {
+    await limitStore.close?.();
+  }
+
+  return { app, checkReadiness, sweepEntitlements, startJobs, close };
+}
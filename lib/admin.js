@@ -0,0 +1,226 @@
+// lib/admin.js
+// Operator API mounted at /admin. Everything here sits behind requireAdmin and
+// every action is written to the audit log.
+import express from "express";
+import { asyncRoute, errorHandler, HttpError, notFoundAs } from "./errors.js";
+
+export function createAdminRouter({
+  requireAdmin,
+  audit,
+  errorLog,
+  diagnostics,
+  payments,
+  ledger,
+  fulfilment,
+  fulfilSession,
+  creditCoupons,
+  credit,
+  logos,
+  callbacks,
+}) {
+  const router = express.Router();
+  router.use(requireAdmin);
+  router.use((req, res, next) => {
+    res.set("Cache-Control", "no-store");
+    next();
+  });
+
+  function requireStripe(req, res, next) {
+    next(payments ? undefined : new HttpError(500, "not_configured", "Server missing STRIPE_SECRET_KEY"));
+  }
+
+  router.get("/diag", (req, res) => {
+    audit.record(req, "diag.view");
+    res.json(diagnostics());
+  });
+
+  // Purchase history, computed credit and job status for everyone with this email
+  router.get("/customers", requireStripe, asyncRoute(async (req, res) => {
+    const email = (req.query.email || "").toString().trim().toLowerCase();
+    if (!email) {
+      return res.status(400).json({ error: "email query parameter is required" });
+    }
+
+    audit.record(req, "customer.lookup", { email });
+
+    const customers = await payments.listCustomersByEmail(email, { limit: 1000 });
+    const purchases = ledger.purchasesFor({ email });
+    for (const customer of customers) {
+      for (const row of ledger.purchasesFor({ customer: customer.id })) {
+        if (!purchases.includes(row)) purchases.push(row);
+      }
+    }
+
+    // Credit towards each tier that takes any, as /checkout/upgrade would pool it
+    // per customer (per-job tiers only count the job's own rows at checkout)
+    const { tiers } = await credit.ladder.get();
+    const creditTiers = tiers.filter(tier => tier.creditProductIds.length > 0);
+    const taxBehaviors = await Promise.all(creditTiers.map(tier => credit.taxBehaviorFor(tier)));
+    const customerIds = customers.length > 0 ? customers.map(c => c.id) : [null];
+    const creditByCustomer = customerIds.map(customer => ({
+      customer,
+      tiers: creditTiers.map((tier, i) => ({
+        tier: tier.id,
+        creditScope: tier.creditScope,
+        ...ledger.creditFor({
+          customer,
+          email,
+          productIds: tier.creditProductIds,
+          currency: credit.currency,
+          taxBehavior: taxBehaviors[i],
+          convert: credit.convert,
+        }),
+      })),
+    }));
+
+    const jobIds = [...new Set(purchases.map(p => p.jobId).filter(Boolean))];
+
+    res.json({
+      email,
+      customers: customers.map(c => ({ id: c.id, name: c.name, created: new Date(c.created * 1000).toISOString() })),
+      purchases,
+      credit: creditByCustomer,
+      jobs: Object.fromEntries(jobIds.map(jobId => [jobId, fulfilment.getStatus(jobId)])),
+    });
+  }));
+
+  // Manually grant bundle credit for a job: { email, amount, currency?, reason }
+  router.post("/jobs/:jobId/credit", (req, res) => {
+    const { email, customer, amount, currency = credit.currency, reason } = req.body || {};
+    if (!email && !customer) {
+      return res.status(400).json({ error: "email or customer is required" });
+    }
+    if (!Number.isInteger(amount) || amount <= 0) {
+      return res.status(400).json({ error: "amount must be a positive integer in minor units" });
+    }
+    if (typeof currency !== "string" || !reason) {
+      return res.status(400).json({ error: "currency and reason are required" });
+    }
+
+    const row = ledger.grantCredit({
+      customer,
+      email,
+      jobId: req.params.jobId,
+      amount,
+      currency: currency.toLowerCase(),
+      reason,
+      actor: req.adminActor,
+    });
+    audit.record(req, "credit.grant", { jobId: req.params.jobId, email, customer, amount, currency, reason });
+    res.status(201).json(row);
+  });
+
+  // Revoke all credit recorded against a job: { reason }
+  router.delete("/jobs/:jobId/credit", (req, res) => {
+    const { reason } = req.body || {};
+    if (!reason) {
+      return res.status(400).json({ error: "reason is required" });
+    }
+
+    const rows = ledger.revokeCredit({ jobId: req.params.jobId, reason, actor: req.adminActor });
+    audit.record(req, "credit.revoke", { jobId: req.params.jobId, reason, rows: rows.length });
+    res.json({ jobId: req.params.jobId, revoked: rows.length });
+  });
+
+  // Re-run fulfilment for a session (e.g. the webhook was missed or failed)
+  router.post("/sessions/:id/fulfil", requireStripe, asyncRoute(async (req, res) => {
+    const session = await payments
+      .retrieveCheckoutSession(req.params.id)
+      .catch(notFoundAs("Checkout session not found"));
+    if (session.payment_status === "unpaid") {
+      return res.status(409).json({ error: "Session is not paid", paymentStatus: session.payment_status });
+    }
+
+    const job = await fulfilSession(session);
+    audit.record(req, "session.fulfil", { sessionId: session.id, jobId: session.metadata?.jobId || null });
+    res.json({ sessionId: session.id, job });
+  }));
+
+  // Import every paid Stripe checkout session into the ledger. It runs in the
+  // server so it writes the ledger this process holds - a separate process
+  // would have its rows overwritten by our next save. Safe to re-run.
+  router.post("/ledger/backfill", requireStripe, asyncRoute(async (req, res) => {
+    const result = await ledger.backfill();
+    audit.record(req, "ledger.backfill", result);
+    res.json(result);
+  }));
+
+  router.get("/errors", (req, res) => {
+    audit.record(req, "errors.view");
+    res.json(errorLog.list({ limit: Number(req.query.limit) || 50 }));
+  });
+
+  router.get("/audit", (req, res) => {
+    audit.record(req, "audit.view");
+    res.json(audit.list({ limit: Number(req.query.limit) || 100 }));
+  });
+
+  // Delete superseded/expired unredeemed bundle credit coupons
+  router.post("/coupons/cleanup", requireStripe, asyncRoute(async (req, res) => {
+    const result = await creditCoupons.cleanup();
+    audit.record(req, "coupons.cleanup", result);
+    res.json(result);
+  }));
+
+  // ---- Logo carousel ----
+  router.get("/logos", (req, res) => {
+    audit.record(req, "logos.view");
+    res.json({ logos: logos.list({ includeInactive: true }) });
+  });
+
+  // { id, name, image, url?, order?, active? }
+  router.post("/logos", (req, res) => {
+    const result = logos.create(req.body || {});
+    if (result.error) return res.status(400).json({ error: result.error });
+    audit.record(req, "logo.create", { id: result.logo.id });
+    res.status(201).json(result.logo);
+  });
+
+  router.patch("/logos/:id", (req, res) => {
+    const result = logos.update(req.params.id, req.body || {});
+    if (!result) return res.status(404).json({ error: "Logo not found" });
+    if (result.error) return res.status(400).json({ error: result.error });
+    audit.record(req, "logo.update", { id: req.params.id, fields: Object.keys(req.body || {}) });
+    res.json(result.logo);
+  });
+
+  router.delete("/logos/:id", (req, res) => {
+    if (!logos.remove(req.params.id)) return res.status(404).json({ error: "Logo not found" });
+    audit.record(req, "logo.delete", { id: req.params.id });
+    res.json({ id: req.params.id, deleted: true });
+  });
+
+  // ---- Job board callbacks ----
+  function describeDelivery({ body, ...delivery }) {
+    return { ...delivery, payload: JSON.parse(body) };
+  }
+
+  // ?status=pending|delivered|dead (dead = the dead-letter list)
+  router.get("/callbacks", (req, res) => {
+    const status = req.query.status ? req.query.status.toString() : undefined;
+    audit.record(req, "callbacks.view", { status: status || null });
+    res.json({
+      enabled: callbacks.enabled,
+      deliveries: callbacks.list({ status, limit: Number(req.query.limit) || 100 }).map(describeDelivery),
+    });
+  });
+
+  // Send a delivery again now; dead-lettered ones get a fresh set of retries
+  router.post("/callbacks/:id/replay", asyncRoute(async (req, res) => {
+    if (!callbacks.enabled) {
+      return res.status(409).json({ error: "Callbacks are not configured (CALLBACK_URL, CALLBACK_SECRET)" });
+    }
+    if (!callbacks.get(req.params.id)) {
+      return res.status(404).json({ error: "Callback delivery not found" });
+    }
+
+    const delivery = await callbacks.replay(req.params.id);
+    audit.record(req, "callback.replay", { id: delivery.id, status: delivery.status });
+    res.json(describeDelivery(delivery));
+  }));
+
+  // Failures here are logged and enveloped like everywhere else, with /admin in the route
+  router.use(errorHandler({ errorLog }));
+
+  return router;
+}
@@ -0,0 +1,30 @@
+// lib/audit.js
+// Append-only record of what operators did through the admin API.
+import { openStore } from "./store.js";
+
+const MAX_ENTRIES = 5000;
+
+export function createAuditLog({ store = openStore("audit-log", { entries: [] }) } = {}) {
+  const { entries } = store.data;
+
+  return {
+    record(req, action, details = {}) {
+      const entry = {
+        at: new Date().toISOString(),
+        actor: req.adminActor || "unknown",
+        ip: req.ip,
+        action,
+        ...details,
+      };
+      entries.push(entry);
+      if (entries.length > MAX_ENTRIES) entries.splice(0, entries.length - MAX_ENTRIES);
+      store.save();
+      return entry;
+    },
+
+    // Newest first
+    list({ limit = 100 } = {}) {
+      return entries.slice(-limit).reverse();
+    },
+  };
+}
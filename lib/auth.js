@@ -0,0 +1,54 @@
+// lib/auth.js
+// Guard for operator-only routes: a shared bearer token (ADMIN_TOKEN) for
+// scripts, or per-person basic auth (ADMIN_USERS="alice:secret,bob:secret") so
+// the audit log can say who did what. Sets req.adminActor.
+import crypto from "node:crypto";
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// "alice:secret,bob:secret" -> { alice: "secret", bob: "secret" }
+export function parseAdminUsers(raw) {
+  const users = {};
+  for (const pair of (raw || "").split(",")) {
+    const i = pair.indexOf(":");
+    if (i > 0) users[pair.slice(0, i).trim()] = pair.slice(i + 1).trim();
+  }
+  return users;
+}
+
+export function createAdminAuth({ token, users = {} }) {
+  const enabled = !!token || Object.keys(users).length > 0;
+
+  function actorFor(header) {
+    const [scheme, supplied] = header.split(" ");
+    if (scheme === "Bearer" && token && supplied && safeEqual(supplied, token)) {
+      return "token";
+    }
+    if (scheme === "Basic" && supplied) {
+      const decoded = Buffer.from(supplied, "base64").toString("utf8");
+      const i = decoded.indexOf(":");
+      const name = decoded.slice(0, i);
+      if (i > 0 && Object.hasOwn(users, name) && safeEqual(decoded.slice(i + 1), users[name])) {
+        return name;
+      }
+    }
+    return null;
+  }
+
+  return function requireAdmin(req, res, next) {
+    if (!enabled) {
+      return res.status(503).json({ error: "Admin API disabled (set ADMIN_TOKEN or ADMIN_USERS)" });
+    }
+    const actor = actorFor(req.get("authorization") || "");
+    if (!actor) {
+      res.set("WWW-Authenticate", 'Bearer, Basic realm="admin"');
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+    req.adminActor = actor;
+    next();
+  };
+}
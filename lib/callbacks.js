@@ -0,0 +1,165 @@
+// lib/callbacks.js
+// Outbound callbacks to the Golf Jobs platform (CALLBACK_URL) so the job board
+// hears about paid, refunded and expired upgrades without polling /entitlements.
+//
+// Every event is stored before it is sent, so a restart never loses one. Failed
+// deliveries are retried with exponential backoff by retryDue() (run on a timer
+// from app.js); after maxAttempts they move to the dead-letter list until an
+// operator replays them from the admin API.
+//
+// Requests are POSTed as JSON with
+//   Golf-Jobs-Event: purchase.completed
+//   Golf-Jobs-Delivery: <event id - the same on every retry, so receivers can dedupe>
+//   Golf-Jobs-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+// signed with CALLBACK_SECRET - the same scheme Stripe uses for its webhooks.
+import crypto from "node:crypto";
+import { log } from "./logger.js";
+import { openStore } from "./store.js";
+
+export const CALLBACK_EVENTS = ["purchase.completed", "purchase.refunded", "upgrade.expired"];
+
+const BASE_DELAY_MS = 30 * 1000;
+const MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+// Delivered callbacks are kept for the admin API, newest MAX_DELIVERED only
+const MAX_DELIVERED = 1000;
+
+export function signCallback(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// Wait before retry number `attempts` (1 = the first retry): 30s, 1m, 2m... capped at 6h
+export function backoffMs(attempts) {
+  return Math.min(BASE_DELAY_MS * 2 ** (attempts - 1), MAX_DELAY_MS);
+}
+
+export function createCallbacks({
+  url,
+  secret,
+  events = CALLBACK_EVENTS,
+  maxAttempts = 8,
+  timeoutMs = 10000,
+  store = openStore("callbacks", { deliveries: {} }),
+}) {
+  const { deliveries } = store.data;
+  const sending = new Set();
+
+  function prune() {
+    const delivered = Object.values(deliveries)
+      .filter(d => d.status === "delivered")
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    for (const delivery of delivered.slice(0, Math.max(0, delivered.length - MAX_DELIVERED))) {
+      delete deliveries[delivery.id];
+    }
+  }
+
+  async function post(delivery) {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "Golf-Jobs-Event": delivery.type,
+        "Golf-Jobs-Delivery": delivery.id,
+        "Golf-Jobs-Signature": signCallback(delivery.body, secret),
+      },
+      body: delivery.body,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    // Drain the body so the connection can be reused
+    await response.arrayBuffer().catch(() => {});
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response.status;
+  }
+
+  async function attempt(delivery) {
+    if (sending.has(delivery.id)) return delivery;
+    sending.add(delivery.id);
+    delivery.attempts += 1;
+    delivery.lastAttemptAt = new Date().toISOString();
+    try {
+      delivery.lastStatus = await post(delivery);
+      delivery.status = "delivered";
+      delivery.deliveredAt = delivery.lastAttemptAt;
+      delivery.lastError = null;
+      delivery.nextAttemptAt = null;
+      log.info("Callback delivered", { callbackId: delivery.id, type: delivery.type });
+    } catch (err) {
+      delivery.lastError = err.name === "TimeoutError" ? `Timed out after ${timeoutMs}ms` : err.message;
+      if (delivery.attempts >= maxAttempts) {
+        delivery.status = "dead";
+        delivery.nextAttemptAt = null;
+        log.error("Callback dead-lettered", { callbackId: delivery.id, attempts: delivery.attempts, lastError: delivery.lastError });
+      } else {
+        delivery.status = "pending";
+        delivery.nextAttemptAt = new Date(Date.now() + backoffMs(delivery.attempts)).toISOString();
+        log.warn("Callback failed - will retry", {
+          callbackId: delivery.id,
+          attempts: delivery.attempts,
+          lastError: delivery.lastError,
+          nextAttemptAt: delivery.nextAttemptAt,
+        });
+      }
+    } finally {
+      sending.delete(delivery.id);
+      prune();
+      store.save();
+    }
+    return delivery;
+  }
+
+  return {
+    enabled: !!(url && secret),
+
+    // Queue an event and try it straight away (without waiting). id is stable for
+    // the event, e.g. "purchase.completed:cs_123", so sending it twice is a no-op.
+    send(type, id, data) {
+      if (!url || !secret || !events.includes(type)) return null;
+      if (deliveries[id]) return deliveries[id];
+
+      const createdAt = new Date().toISOString();
+      deliveries[id] = {
+        id,
+        type,
+        body: JSON.stringify({ id, type, createdAt, data }),
+        status: "pending",
+        attempts: 0,
+        createdAt,
+        lastAttemptAt: null,
+        nextAttemptAt: createdAt,
+        lastStatus: null,
+        lastError: null,
+      };
+      store.save();
+      attempt(deliveries[id]).catch(err => log.error("Callback failed", { callbackId: id, error: err }));
+      return deliveries[id];
+    },
+
+    // Send every pending delivery whose backoff has passed
+    async retryDue({ now = Date.now() } = {}) {
+      const due = Object.values(deliveries).filter(
+        d => d.status === "pending" && !sending.has(d.id) && Date.parse(d.nextAttemptAt) <= now
+      );
+      for (const delivery of due) await attempt(delivery);
+      return { attempted: due.length, delivered: due.filter(d => d.status === "delivered").length };
+    },
+
+    // Send one delivery again now, whatever its state; dead-lettered ones get a
+    // fresh set of attempts. Returns the updated delivery, or null if unknown.
+    async replay(id) {
+      const delivery = deliveries[id];
+      if (!delivery) return null;
+      if (delivery.status === "dead") delivery.attempts = 0;
+      return attempt(delivery);
+    },
+
+    get: id => deliveries[id] || null,
+
+    // Newest first; status is "pending", "delivered" or "dead" (the dead-letter list)
+    list({ status, limit = 100 } = {}) {
+      return Object.values(deliveries)
+        .filter(d => !status || d.status === status)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, limit);
+    },
+  };
+}
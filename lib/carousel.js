@@ -0,0 +1,126 @@
+// lib/carousel.js
+// The /logo-carousel page. The track is rendered twice and scrolled by -50%, so
+// the second copy slides in as the first leaves; it is aria-hidden so screen
+// readers only hear each employer once.
+import { html, raw } from "./embed.js";
+
+// Links in the hidden copy are taken out of the tab order as well
+function logoItem(logo, hidden) {
+  const image = html`<img src="${logo.image}" alt="${logo.name}" loading="lazy" />`;
+  if (!logo.url) return raw(html`<div class="logo-item">${raw(image)}</div>`);
+  const tabindex = hidden ? raw(' tabindex="-1"') : "";
+  return raw(
+    html`<a class="logo-item" href="${logo.url}" target="_blank" rel="noopener" title="${logo.name}"${tabindex}>${raw(image)}</a>`
+  );
+}
+
+export function renderLogoCarousel({ logos, theme }) {
+  const filter = theme.greyscale ? "grayscale(100%)" : "none";
+  const opacity = theme.greyscale ? 0.7 : 1;
+
+  // Theme values are validated by parseTheme (hex colours, numeric speed)
+  // before they get here, so they are safe inside the stylesheet
+  const css = `
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif;
+      background: ${theme.background};
+      overflow: hidden;
+    }
+    .carousel-container { padding: 15px; text-align: center; background: ${theme.background}; }
+    .title {
+      font-size: 12px;
+      color: ${theme.text};
+      text-transform: uppercase;
+      letter-spacing: 1.2px;
+      margin-bottom: 20px;
+      font-weight: 600;
+    }
+    .carousel-wrapper { width: 100%; overflow: hidden; position: relative; background: ${theme.background}; }
+
+    /* Gradient masks for smooth edges */
+    .carousel-wrapper::before,
+    .carousel-wrapper::after {
+      content: '';
+      position: absolute;
+      top: 0;
+      bottom: 0;
+      width: 80px;
+      z-index: 2;
+      pointer-events: none;
+    }
+    .carousel-wrapper::before { left: 0; background: linear-gradient(to right, ${theme.background}, transparent); }
+    .carousel-wrapper::after { right: 0; background: linear-gradient(to left, ${theme.background}, transparent); }
+
+    .logo-track {
+      display: flex;
+      align-items: center;
+      gap: 60px;
+      animation: scroll ${theme.speed}s linear infinite;
+      width: fit-content;
+      padding: 10px 0;
+    }
+    .logo-track:hover { animation-play-state: paused; }
+    .logo-set { display: flex; align-items: center; gap: 60px; }
+
+    .logo-item {
+      flex: 0 0 auto;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      width: 120px;
+      height: 50px;
+      padding: 5px;
+      outline-color: ${theme.accent};
+    }
+    .logo-item img {
+      max-width: 100%;
+      max-height: 100%;
+      width: auto;
+      height: auto;
+      filter: ${filter};
+      opacity: ${opacity};
+      transition: all 0.3s ease;
+      object-fit: contain;
+    }
+    .logo-item:hover img, .logo-item:focus img { filter: none; opacity: 1; transform: scale(1.05); }
+
+    @keyframes scroll {
+      0% { transform: translateX(0); }
+      100% { transform: translateX(calc(-50% - 30px)); }
+    }
+    @media (prefers-reduced-motion: reduce) {
+      .logo-track { animation: none; }
+    }
+
+    /* Mobile adjustments */
+    @media (max-width: 640px) {
+      .logo-track, .logo-set { gap: 40px; }
+      .logo-item { width: 100px; height: 40px; }
+      .carousel-wrapper::before, .carousel-wrapper::after { width: 40px; }
+      @keyframes scroll { 100% { transform: translateX(calc(-50% - 20px)); } }
+    }
+  `;
+
+  return html`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${theme.title || "Logos"}</title>
+  <style>${raw(css)}</style>
+</head>
+<body>
+  <div class="carousel-container">
+    ${theme.title ? raw(html`<div class="title">${theme.title}</div>`) : ""}
+    <div class="carousel-wrapper">
+      <div class="logo-track">
+        <div class="logo-set">${logos.map(logo => logoItem(logo, false))}</div>
+        <div class="logo-set" aria-hidden="true">${logos.map(logo => logoItem(logo, true))}</div>
+      </div>
+    </div>
+  </div>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,111 @@
+// lib/cart.js
+// Validates what /checkout is allowed to sell: only active prices from the
+// configured catalogue (PRODUCT_IDS + tier prices), sane quantities, and the
+// upgrade ladder's rules (no buying a tier together with one it includes, no
+// buying the same upgrade twice).
+// A subscription plan (SUBSCRIPTION_PRICE_IDS) is checked out on its own.
+import { netAmount } from "./ledger.js";
+
+const MAX_QUANTITY = 10;
+
+// Turn `?pid=a,b` or a JSON cart into [{ price, quantity }]; returns { error } on bad input
+export function parseCart(input) {
+  if (typeof input === "string") {
+    const priceIds = input.split(",").map(s => s.trim()).filter(Boolean);
+    if (priceIds.length === 0) return { error: "No valid price IDs provided" };
+    return { items: priceIds.map(price => ({ price, quantity: 1 })) };
+  }
+
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: "Cart must be a non-empty array of { price, quantity }" };
+  }
+  const items = [];
+  for (const entry of input) {
+    const price = typeof entry === "string" ? entry : entry?.price;
+    const quantity = typeof entry === "string" ? 1 : entry?.quantity ?? 1;
+    if (typeof price !== "string" || !price) {
+      return { error: "Each cart item needs a price ID" };
+    }
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+      return { error: `Quantity for ${price} must be a whole number between 1 and ${MAX_QUANTITY}` };
+    }
+    items.push({ price, quantity });
+  }
+  return { items };
+}
+
+export function createCartValidator({ catalogue, ladder, ledger, subscriptionPriceIds = [] }) {
+  // Returns { lineItems, productIds, mode, upgradeProductIds } or { error, details }
+  return async function validateCart(items, { jobId } = {}) {
+    const { prices } = await catalogue.get();
+    const upgrades = await ladder.get();
+
+    // Merge repeats of the same price into one line
+    const merged = new Map();
+    for (const { price, quantity } of items) {
+      merged.set(price, (merged.get(price) || 0) + quantity);
+    }
+
+    const lineItems = [];
+    const productIds = [];
+    for (const [priceId, quantity] of merged) {
+      const price = prices[priceId];
+      if (!price || price.active === false) {
+        return { error: "Price not available for checkout", details: priceId };
+      }
+      if ((price.type === "recurring" || price.recurring) && !subscriptionPriceIds.includes(priceId)) {
+        return { error: "Recurring prices cannot be bought as a one-off upgrade", details: priceId };
+      }
+      if (quantity > MAX_QUANTITY) {
+        return { error: `Quantity for ${priceId} must be between 1 and ${MAX_QUANTITY}`, details: priceId };
+      }
+
+      const isUpgrade = !!upgrades.tierForProduct(price.product);
+      if (isUpgrade && (quantity > 1 || productIds.includes(price.product))) {
+        return { error: "Each upgrade can only be bought once per job", details: priceId };
+      }
+
+      lineItems.push({ price: priceId, quantity });
+      productIds.push(price.product);
+    }
+
+    // Plans run in subscription mode, so they can't share a cart with one-offs
+    if (lineItems.some(item => subscriptionPriceIds.includes(item.price))) {
+      if (lineItems.length > 1 || lineItems[0].quantity > 1) {
+        return { error: "A subscription plan has to be checked out on its own" };
+      }
+      return { lineItems, productIds, mode: "subscription", upgradeProductIds: [] };
+    }
+
+    // A tier that takes credit from another one already includes it
+    const tiers = productIds.map(id => upgrades.tierForProduct(id)).filter(Boolean);
+    const includes = (higher, lower) => higher.creditFrom.includes(lower.id);
+    for (const tier of tiers) {
+      const included = tiers.find(other => includes(tier, other));
+      if (included) {
+        return { error: `${tier.name} already includes ${included.name} - buy one or the other`, details: tier.id };
+      }
+    }
+
+    // Upgrades the job already has (and wasn't refunded for)
+    if (jobId) {
+      const owned = new Set(
+        ledger.purchasesForJob(jobId)
+          .filter(p => netAmount(p) > 0)
+          .map(p => p.productId)
+      );
+      const ownedTiers = upgrades.tiers.filter(tier => owned.has(tier.productId));
+      for (const tier of tiers) {
+        const covering = ownedTiers.find(ownedTier => ownedTier.id === tier.id || includes(ownedTier, tier));
+        if (covering) {
+          return {
+            error: covering.id === tier.id ? "This job already has that upgrade" : `This job already has ${covering.name}`,
+            details: tier.productId,
+          };
+        }
+      }
+    }
+
+    return { lineItems, productIds, mode: "payment", upgradeProductIds: tiers.map(tier => tier.productId) };
+  };
+}
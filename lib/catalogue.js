@@ -0,0 +1,153 @@
+// lib/catalogue.js
+// Server-side cache of the products/prices we sell. Reads are served from
+// memory; once the data is older than the TTL it is refreshed in the
+// background (stale-while-revalidate) and, if Stripe errors, the last good
+// copy keeps being served. product.* / price.* webhooks invalidate it.
+import { log } from "./logger.js";
+import { idOf } from "./payments/ids.js";
+
+function stripeErrorMessage(err) {
+  return (
+    err?.raw?.message ||
+    err?.message ||
+    "Stripe error (check key/account/test-vs-live/product IDs)"
+  );
+}
+
+function summarisePrice(price) {
+  return {
+    id: price.id,
+    product: idOf(price.product),
+    active: price.active,
+    unit_amount: price.unit_amount,
+    currency: price.currency,
+    currency_options: price.currency_options || {},
+    type: price.type,
+    recurring: price.recurring || null,
+    tax_behavior: price.tax_behavior || null,
+    nickname: price.nickname || null,
+    lookup_key: price.lookup_key || null,
+    metadata: price.metadata || {},
+  };
+}
+
+export function createCatalogue({ payments, productIds = [], priceIds = [], ttlMs = 5 * 60 * 1000 }) {
+  let state = { products: {}, prices: {}, fetchedAt: 0, lastError: null };
+  let refreshing = null;
+  let refreshQueued = false;
+
+  async function loadProduct(productId, previous) {
+    try {
+      const [product, prices] = await Promise.all([
+        payments.retrieveProduct(productId),
+        payments.listProductPrices(productId),
+      ]);
+
+      // Default price first, so "first active price" means something
+      prices.sort((a, b) => (b.id === product.default_price) - (a.id === product.default_price));
+
+      return {
+        id: product.id,
+        active: product.active,
+        name: product.name,
+        description: product.description || null,
+        images: product.images || [],
+        metadata: product.metadata || {},
+        features: (product.marketing_features || []).map(f => f.name).filter(Boolean),
+        default_price: product.default_price || null,
+        prices: prices.map(summarisePrice),
+      };
+    } catch (err) {
+      // Keep serving what we had for this product rather than an error
+      if (previous && !previous.error) return { ...previous, stale: true };
+      return { id: productId, error: stripeErrorMessage(err) };
+    }
+  }
+
+  async function load() {
+    const next = { products: {}, prices: {}, fetchedAt: Date.now(), lastError: null };
+
+    // Explicitly configured prices (e.g. the bundle) may live on other products
+    const extra = await Promise.all(
+      priceIds.map(async id => {
+        try {
+          return summarisePrice(await payments.retrievePrice(id));
+        } catch (err) {
+          next.lastError = `${id}: ${stripeErrorMessage(err)}`;
+          return state.prices[id] || null;
+        }
+      })
+    );
+
+    const loaded = await Promise.all(productIds.map(id => loadProduct(id, state.products[id])));
+    for (const product of loaded) {
+      next.products[product.id] = product;
+      for (const price of product.prices || []) next.prices[price.id] = price;
+    }
+    for (const price of extra.filter(Boolean)) next.prices[price.id] = price;
+
+    state = next;
+    log.info("Catalogue refreshed", { products: loaded.length, prices: Object.keys(next.prices).length });
+    return state;
+  }
+
+  function refresh() {
+    if (!refreshing) {
+      refreshing = load()
+        .catch(err => {
+          // Whole refresh failed (e.g. auth) - keep the stale copy and retry next read
+          state = { ...state, lastError: stripeErrorMessage(err) };
+          log.error("Catalogue refresh failed", { error: err });
+          return state;
+        })
+        .finally(() => {
+          refreshing = null;
+          // An invalidation arrived mid-refresh; that load may have read old data
+          if (refreshQueued) {
+            refreshQueued = false;
+            refresh();
+          }
+        });
+    }
+    return refreshing;
+  }
+
+  function invalidate(reason) {
+    log.info("Catalogue invalidated", { reason });
+    // Mark stale but keep serving the current copy until the refresh lands
+    state = { ...state, fetchedAt: Math.min(state.fetchedAt, 1) };
+    if (refreshing) refreshQueued = true;
+    else refresh();
+  }
+
+  function snapshot() {
+    return { ...state, stale: Date.now() - state.fetchedAt > ttlMs };
+  }
+
+  return {
+    // Wait only on the very first load; afterwards serve from memory
+    async get() {
+      if (!state.fetchedAt) {
+        await refresh();
+      } else if (Date.now() - state.fetchedAt > ttlMs) {
+        refresh();
+      }
+      return snapshot();
+    },
+
+    invalidate,
+
+    // Webhook handlers - subscribe the endpoint to these events in Stripe
+    webhookHandlers() {
+      const onChange = async (object, event) => invalidate(`${event.type} ${object.id}`);
+      return {
+        "product.created": onChange,
+        "product.updated": onChange,
+        "product.deleted": onChange,
+        "price.created": onChange,
+        "price.updated": onChange,
+        "price.deleted": onChange,
+      };
+    },
+  };
+}
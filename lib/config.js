@@ -0,0 +1,430 @@
+// lib/config.js
+// All environment settings in one place. loadConfig() parses and sanity-checks
+// them synchronously; verifyConfig() then checks every configured product and
+// price against Stripe (exists, active, same live/test mode as the key, and a
+// bundle currency the credit logic can work with).
+import fs from "node:fs";
+import { currenciesOf, parseRates } from "./currency.js";
+import { parseOriginList } from "./origins.js";
+import { parseAdminUsers } from "./auth.js";
+import { CALLBACK_EVENTS } from "./callbacks.js";
+import { LOG_LEVELS } from "./logger.js";
+import { TAX_BEHAVIORS, TAX_MODES } from "./tax.js";
+import { CREDIT_SCOPES, parseLadder } from "./tiers.js";
+
+function list(raw) {
+  return (raw || "")
+    .split(",")
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+function number(env, name, fallback, problems) {
+  if (env[name] === undefined || env[name] === "") return fallback;
+  const value = Number(env[name]);
+  if (!Number.isFinite(value) || value < 0) {
+    problems.push({ setting: name, message: `must be a non-negative number (got "${env[name]}")` });
+    return fallback;
+  }
+  return value;
+}
+
+// Express "trust proxy": a hop count, true/false, or a list of addresses
+function trustProxy(raw) {
+  if (raw === undefined || raw === "") return 1;
+  if (raw === "true" || raw === "false") return raw === "true";
+  return /^\d+$/.test(raw) ? Number(raw) : raw;
+}
+
+// UPGRADE_TIERS: "metadata", a JSON file, or unset for the legacy bundle rule
+function upgradeTiers(raw, problems) {
+  if (!raw || raw === "metadata") return raw || null;
+  let parsed;
+  try {
+    parsed = parseLadder(JSON.parse(fs.readFileSync(raw, "utf8")));
+  } catch (err) {
+    problems.push({ setting: "UPGRADE_TIERS", message: `could not be read (${err.message}) - falling back to BUNDLE_PRICE_ID` });
+    return null;
+  }
+  for (const error of parsed.errors) {
+    problems.push({ setting: "UPGRADE_TIERS", message: error });
+  }
+  return parsed.ladder;
+}
+
+// "prod_a=30,prod_b=0" -> { prod_a: 30, prod_b: 0 } (days; 0 = never expires)
+function durations(raw, problems) {
+  const result = {};
+  for (const entry of list(raw)) {
+    const [productId, days] = entry.split("=").map(s => s.trim());
+    if (!productId?.startsWith("prod_") || !/^\d+$/.test(days || "")) {
+      problems.push({ setting: "ENTITLEMENT_DURATIONS", message: `"${entry}" should look like prod_...=30` });
+      continue;
+    }
+    result[productId] = Number(days);
+  }
+  return result;
+}
+
+function keyMode(key) {
+  const match = /^(sk|rk)_(live|test)_/.exec(key || "");
+  return match ? match[2] : null;
+}
+
+export function loadConfig(env = process.env) {
+  const problems = [];
+
+  const successUrl = env.SUCCESS_URL || "https://golf-jobs.com/upgrade/success";
+  const cancelUrl = env.CANCEL_URL || "https://golf-jobs.com/account/jobs";
+
+  // Named redirect profiles (?return=upgrade|account), extendable via REDIRECT_PROFILES JSON
+  const redirectProfiles = {
+    upgrade: { success: "https://golf-jobs.com/upgrade?success=true", cancel: "https://golf-jobs.com/upgrade" },
+    account: { success: successUrl, cancel: cancelUrl },
+  };
+  try {
+    Object.assign(redirectProfiles, JSON.parse(env.REDIRECT_PROFILES || "{}"));
+  } catch (err) {
+    problems.push({ setting: "REDIRECT_PROFILES", message: `is not valid JSON (${err.message}) - using defaults` });
+  }
+  for (const [name, profile] of Object.entries(redirectProfiles)) {
+    for (const url of [profile?.success, profile?.cancel]) {
+      if (!URL.canParse(url)) {
+        problems.push({ setting: "REDIRECT_PROFILES", message: `profile "${name}" has an invalid URL (${url})` });
+        delete redirectProfiles[name];
+        break;
+      }
+    }
+  }
+
+  const allowedOrigins = parseOriginList(env.ALLOWED_ORIGINS);
+  const tiers = upgradeTiers(env.UPGRADE_TIERS, problems);
+  const taxMode = (env.TAX_MODE || "off").toLowerCase();
+
+  const config = {
+    port: env.PORT || 10000,
+    strict: env.STRICT_CONFIG === "true",
+    allowedOrigins,
+
+    stripeSecretKey: env.STRIPE_SECRET_KEY || null,
+    stripeMode: keyMode(env.STRIPE_SECRET_KEY),
+    stripeWebhookSecret: env.STRIPE_WEBHOOK_SECRET || null,
+
+    // Product IDs (comma-separated) - for existing functionality
+    productIds: list(env.PRODUCT_IDS),
+    // Bundle configuration for credit checkout
+    bundlePriceId: env.BUNDLE_PRICE_ID || null,
+    singleUpgradeProductIds: list(env.SINGLE_UPGRADE_PRODUCT_IDS),
+    // Upgrade ladder (lib/tiers.js); without one BUNDLE_PRICE_ID/SINGLE_UPGRADE_PRODUCT_IDS
+    // make a two-step ladder. CREDIT_SCOPE is the default for tiers that don't say.
+    upgradeTiers: tiers,
+    upgradeTiersSource: tiers === "metadata" ? "metadata" : tiers ? "file" : "legacy",
+    creditScope: env.CREDIT_SCOPE || "customer",
+    // Recurring recruiter plans; active subscribers get upgrades without paying
+    subscriptionPriceIds: list(env.SUBSCRIPTION_PRICE_IDS),
+    billingPortalConfiguration: env.BILLING_PORTAL_CONFIGURATION || null,
+
+    // How long each upgrade product features a job, and when to warn before it runs out
+    entitlementDurations: durations(env.ENTITLEMENT_DURATIONS, problems),
+    entitlementDefaultDays: number(env, "ENTITLEMENT_DEFAULT_DAYS", 30, problems),
+    expiryWarningDays: number(env, "EXPIRY_WARNING_DAYS", 3, problems),
+    entitlementSweepMinutes: number(env, "ENTITLEMENT_SWEEP_MINUTES", 60, problems),
+
+    redirectProfiles,
+    redirectAllowlist: env.REDIRECT_ALLOWLIST ? parseOriginList(env.REDIRECT_ALLOWLIST) : allowedOrigins,
+    legacyEmailInSuccessUrl: env.LEGACY_EMAIL_IN_SUCCESS_URL === "true",
+
+    // Seed list for /logo-carousel; admins edit the stored copy after the first boot
+    logosFile: env.LOGOS_FILE || "config/logos.json",
+
+    catalogueTtlSeconds: number(env, "CATALOGUE_TTL_SECONDS", 300, problems),
+    couponCleanupHours: number(env, "COUPON_CLEANUP_HOURS", 24, problems),
+
+    // Currencies: default when none is requested/inferred, plus an optional rate
+    // table ("gbp=1,usd=1.27,eur=1.17") so credit can carry across currencies
+    defaultCurrency: (env.DEFAULT_CURRENCY || "gbp").toLowerCase(),
+    currencyRates: parseRates(env.CURRENCY_RATES),
+
+    // Signed identity tokens from the main app; unsigned bodies only in legacy mode
+    checkoutTokenSecret: env.CHECKOUT_TOKEN_SECRET || null,
+    checkoutTokenMaxAgeSeconds: number(env, "CHECKOUT_TOKEN_MAX_AGE_SECONDS", 3600, problems),
+    allowUnsignedCheckout: env.ALLOW_UNSIGNED_CHECKOUT === "true",
+
+    // Checkout throttling per IP and per email; 0 turns a limit off. REDIS_URL
+    // shares counters (and the credit checkout lock) between instances.
+    rateLimitWindowSeconds: number(env, "RATE_LIMIT_WINDOW_SECONDS", 60, problems),
+    rateLimitPerIp: number(env, "RATE_LIMIT_PER_IP", 30, problems),
+    rateLimitPerEmail: number(env, "RATE_LIMIT_PER_EMAIL", 10, problems),
+    redisUrl: env.REDIS_URL || null,
+    // Repeated checkout requests (same Idempotency-Key, or same customer/job/cart)
+    // get the first response back within this window; 0 turns it off
+    idempotencyWindowSeconds: number(env, "IDEMPOTENCY_WINDOW_SECONDS", 600, problems),
+    // Proxy hops in front of us (Render adds one) so req.ip is the visitor, not the proxy
+    trustProxy: trustProxy(env.TRUST_PROXY),
+
+    // Signed callbacks to the job board when upgrades are paid, refunded or expire.
+    // Failures retry with backoff (checked every CALLBACK_RETRY_SECONDS) until
+    // CALLBACK_MAX_ATTEMPTS, then wait in the dead-letter list for an admin replay.
+    callbackUrl: env.CALLBACK_URL || null,
+    callbackSecret: env.CALLBACK_SECRET || null,
+    callbackEvents: env.CALLBACK_EVENTS ? list(env.CALLBACK_EVENTS) : CALLBACK_EVENTS,
+    callbackMaxAttempts: number(env, "CALLBACK_MAX_ATTEMPTS", 8, problems),
+    callbackRetrySeconds: number(env, "CALLBACK_RETRY_SECONDS", 60, problems),
+    callbackTimeoutSeconds: number(env, "CALLBACK_TIMEOUT_SECONDS", 10, problems),
+
+    // Abandoned checkout recovery: reminder emails over SMTP_URL with links back to
+    // PUBLIC_URL/checkout/recover/..., at most RECOVERY_EMAILS_PER_DAY per address (0 = off)
+    publicUrl: env.PUBLIC_URL ? env.PUBLIC_URL.replace(/\/+$/, "") : null,
+    smtpUrl: env.SMTP_URL || null,
+    mailFrom: env.MAIL_FROM || "Golf Jobs <no-reply@golf-jobs.com>",
+    recoveryEmailsPerDay: number(env, "RECOVERY_EMAILS_PER_DAY", 1, problems),
+    recoveryLinkDays: number(env, "RECOVERY_LINK_DAYS", 7, problems),
+
+    // VAT (lib/tax.js): TAX_MODE off|automatic|fixed, TAX_RATE_IDS (txr_...) for fixed
+    // rates, TAX_BEHAVIOR for prices that don't say whether they include it. VAT
+    // number collection and invoices default to on whenever tax is.
+    taxMode,
+    taxRateIds: list(env.TAX_RATE_IDS),
+    taxBehavior: (env.TAX_BEHAVIOR || "exclusive").toLowerCase(),
+    taxIdCollection: env.TAX_ID_COLLECTION ? env.TAX_ID_COLLECTION === "true" : taxMode !== "off",
+    invoiceCreation: env.INVOICE_CREATION ? env.INVOICE_CREATION === "true" : taxMode !== "off",
+    invoiceFooter: env.INVOICE_FOOTER || null,
+
+    // JSON log lines (lib/logger.js) at LOG_LEVEL and above: debug, info, warn, error or silent
+    logLevel: (env.LOG_LEVEL || "info").toLowerCase(),
+
+    adminToken: env.ADMIN_TOKEN || null,
+    adminUsers: parseAdminUsers(env.ADMIN_USERS),
+  };
+
+  // ---- Shape checks (no network) ----
+  if (!config.stripeSecretKey) {
+    problems.push({ setting: "STRIPE_SECRET_KEY", message: "is not set - /prices and checkout will return errors" });
+  } else if (!config.stripeMode) {
+    problems.push({ setting: "STRIPE_SECRET_KEY", message: "does not look like a Stripe secret or restricted key" });
+  }
+  if (!config.stripeWebhookSecret) {
+    problems.push({ setting: "STRIPE_WEBHOOK_SECRET", message: "is not set - paid upgrades will not be fulfilled" });
+  } else if (!config.stripeWebhookSecret.startsWith("whsec_")) {
+    problems.push({ setting: "STRIPE_WEBHOOK_SECRET", message: "should start with whsec_" });
+  }
+  for (const [setting, ids] of [["PRODUCT_IDS", config.productIds], ["SINGLE_UPGRADE_PRODUCT_IDS", config.singleUpgradeProductIds]]) {
+    for (const id of ids.filter(id => !id.startsWith("prod_"))) {
+      problems.push({ setting, message: `"${id}" is not a product ID (prod_...)` });
+    }
+  }
+  for (const id of config.subscriptionPriceIds.filter(id => !id.startsWith("price_"))) {
+    problems.push({ setting: "SUBSCRIPTION_PRICE_IDS", message: `"${id}" is not a price ID (price_...)` });
+  }
+  if (!CREDIT_SCOPES.includes(config.creditScope)) {
+    problems.push({ setting: "CREDIT_SCOPE", message: `must be one of ${CREDIT_SCOPES.join(", ")} - using customer` });
+    config.creditScope = "customer";
+  }
+  if (config.billingPortalConfiguration && !config.billingPortalConfiguration.startsWith("bpc_")) {
+    problems.push({ setting: "BILLING_PORTAL_CONFIGURATION", message: "should start with bpc_" });
+  }
+  if (!config.bundlePriceId && config.upgradeTiersSource === "legacy") {
+    problems.push({ setting: "BUNDLE_PRICE_ID", message: "is not set (and no UPGRADE_TIERS) - /checkout/upgrade is disabled" });
+  } else if (config.bundlePriceId && !config.bundlePriceId.startsWith("price_")) {
+    problems.push({ setting: "BUNDLE_PRICE_ID", message: `"${config.bundlePriceId}" is not a price ID (price_...)` });
+  }
+  if (config.upgradeTiersSource === "legacy" && config.bundlePriceId && config.singleUpgradeProductIds.length === 0) {
+    problems.push({ setting: "SINGLE_UPGRADE_PRODUCT_IDS", message: "is empty - nobody can earn bundle credit" });
+  }
+  if (!config.checkoutTokenSecret && !config.allowUnsignedCheckout) {
+    problems.push({ setting: "CHECKOUT_TOKEN_SECRET", message: "is not set - checkout routes will reject every request" });
+  } else if (config.checkoutTokenSecret && config.checkoutTokenSecret.length < 32) {
+    problems.push({ setting: "CHECKOUT_TOKEN_SECRET", message: "should be at least 32 characters" });
+  }
+  if (config.allowUnsignedCheckout) {
+    problems.push({ setting: "ALLOW_UNSIGNED_CHECKOUT", message: "is on - checkout trusts email/jobId from the request" });
+  }
+  if (config.rateLimitWindowSeconds === 0 && (config.rateLimitPerIp || config.rateLimitPerEmail)) {
+    problems.push({ setting: "RATE_LIMIT_WINDOW_SECONDS", message: "is 0 - checkout rate limits are disabled" });
+    config.rateLimitPerIp = config.rateLimitPerEmail = 0;
+  }
+  if (config.redisUrl && !/^rediss?:\/\//.test(config.redisUrl)) {
+    problems.push({ setting: "REDIS_URL", message: "should start with redis:// or rediss://" });
+  }
+  if (!/^[a-z]{3}$/.test(config.defaultCurrency)) {
+    problems.push({ setting: "DEFAULT_CURRENCY", message: `"${config.defaultCurrency}" is not an ISO currency code` });
+  }
+  if (env.CURRENCY_RATES && Object.keys(config.currencyRates).length === 0) {
+    problems.push({ setting: "CURRENCY_RATES", message: 'could not be parsed (expected "gbp=1,usd=1.27")' });
+  }
+
+  if (config.callbackUrl) {
+    let url = null;
+    try {
+      url = new URL(config.callbackUrl);
+    } catch {
+      // Reported below
+    }
+    if (!url || !["http:", "https:"].includes(url.protocol)) {
+      problems.push({ setting: "CALLBACK_URL", message: "is not an http(s) URL - callbacks are disabled" });
+      config.callbackUrl = null;
+    } else if (url.protocol === "http:" && !["localhost", "127.0.0.1"].includes(url.hostname)) {
+      problems.push({ setting: "CALLBACK_URL", message: "should use https - callbacks include customer emails" });
+    }
+    if (!config.callbackSecret) {
+      problems.push({ setting: "CALLBACK_SECRET", message: "is not set - callbacks are disabled" });
+    } else if (config.callbackSecret.length < 32) {
+      problems.push({ setting: "CALLBACK_SECRET", message: "should be at least 32 characters" });
+    }
+  }
+  for (const event of config.callbackEvents.filter(event => !CALLBACK_EVENTS.includes(event))) {
+    problems.push({ setting: "CALLBACK_EVENTS", message: `"${event}" is not one of ${CALLBACK_EVENTS.join(", ")}` });
+  }
+  if (config.smtpUrl && !/^smtps?:\/\//.test(config.smtpUrl)) {
+    problems.push({ setting: "SMTP_URL", message: "should start with smtp:// or smtps://" });
+  }
+  if (config.smtpUrl && !config.publicUrl) {
+    problems.push({ setting: "PUBLIC_URL", message: "is not set - recovery emails can't link back here and are disabled" });
+  } else if (config.publicUrl && !/^https?:\/\/[^/]+/.test(config.publicUrl)) {
+    problems.push({ setting: "PUBLIC_URL", message: `"${config.publicUrl}" is not an http(s) URL` });
+  }
+  if (!TAX_MODES.includes(config.taxMode)) {
+    problems.push({ setting: "TAX_MODE", message: `must be one of ${TAX_MODES.join(", ")} - no tax is charged` });
+    config.taxMode = "off";
+  } else if (config.taxMode === "fixed" && config.taxRateIds.length === 0) {
+    problems.push({ setting: "TAX_RATE_IDS", message: "is empty but TAX_MODE is fixed - no tax is charged" });
+  }
+  for (const id of config.taxRateIds.filter(id => !id.startsWith("txr_"))) {
+    problems.push({ setting: "TAX_RATE_IDS", message: `"${id}" is not a tax rate ID (txr_...)` });
+  }
+  if (config.taxRateIds.length > 0 && config.taxMode !== "fixed") {
+    problems.push({ setting: "TAX_RATE_IDS", message: `is ignored unless TAX_MODE is fixed (it is ${config.taxMode})` });
+  }
+  if (!TAX_BEHAVIORS.includes(config.taxBehavior)) {
+    problems.push({ setting: "TAX_BEHAVIOR", message: `must be one of ${TAX_BEHAVIORS.join(", ")} - using exclusive` });
+    config.taxBehavior = "exclusive";
+  }
+  if (!LOG_LEVELS.includes(config.logLevel)) {
+    problems.push({ setting: "LOG_LEVEL", message: `must be one of ${LOG_LEVELS.join(", ")} - using info` });
+    config.logLevel = "info";
+  }
+  if (config.callbackMaxAttempts < 1) {
+    problems.push({ setting: "CALLBACK_MAX_ATTEMPTS", message: "must be at least 1 - using 1" });
+    config.callbackMaxAttempts = 1;
+  }
+
+  return { config, problems };
+}
+
+// Checks each configured object in Stripe. Returns [{ name, ok, message }].
+export async function verifyConfig(config, payments) {
+  const checks = [];
+  const check = (name, ok, message) => checks.push({ name, ok, message: ok ? undefined : message });
+
+  if (!payments) {
+    check("stripe", false, "STRIPE_SECRET_KEY is not set");
+    return checks;
+  }
+  const live = config.stripeMode === "live";
+
+  async function verifyObject(name, load) {
+    try {
+      const object = await load();
+      if (object.deleted) {
+        check(name, false, "has been deleted");
+      } else if (object.livemode !== live) {
+        check(name, false, `is a ${object.livemode ? "live" : "test"} mode object but the key is ${config.stripeMode}`);
+      } else if (!object.active) {
+        check(name, false, "is archived (inactive)");
+      } else {
+        check(name, true);
+      }
+      return object;
+    } catch (err) {
+      check(name, false, err?.raw?.message || err.message);
+      return null;
+    }
+  }
+
+  const productIds = [...new Set([...config.productIds, ...config.singleUpgradeProductIds])];
+  await Promise.all(productIds.map(id => verifyObject(`product ${id}`, () => payments.retrieveProduct(id))));
+
+  // Single upgrades need prices the bundle currency can count
+  const upgradeCurrencies = new Set();
+  await Promise.all(
+    config.singleUpgradeProductIds.map(async id => {
+      try {
+        const prices = await payments.listProductPrices(id);
+        prices.forEach(price => currenciesOf(price).forEach(c => upgradeCurrencies.add(c)));
+      } catch {
+        // Already reported by the product check
+      }
+    })
+  );
+
+  await Promise.all(
+    config.subscriptionPriceIds.map(async id => {
+      const price = await verifyObject(`subscription price ${id}`, () => payments.retrievePrice(id));
+      if (price) check(`subscription price ${id} type`, price.type === "recurring", "is a one-time price - plans must be recurring");
+    })
+  );
+
+  // Tiers from an UPGRADE_TIERS file (metadata tiers come from PRODUCT_IDS, checked above)
+  if (config.upgradeTiersSource === "file") {
+    await Promise.all(
+      config.upgradeTiers.tiers.map(async tier => {
+        if (tier.productId) {
+          await verifyObject(`tier ${tier.id} product`, () => payments.retrieveProduct(tier.productId));
+        }
+        if (!tier.priceId) return;
+        const price = await verifyObject(`tier ${tier.id} price`, () => payments.retrievePrice(tier.priceId));
+        if (price) {
+          check(`tier ${tier.id} price type`, price.type === "one_time", "is recurring - upgrades run in payment mode");
+          if (tier.productId) {
+            check(`tier ${tier.id} product match`, price.product === tier.productId, `price belongs to ${price.product}, not ${tier.productId}`);
+          }
+        }
+      })
+    );
+  }
+
+  // Fixed rates: live, active, and including VAT or not the way TAX_BEHAVIOR says
+  if (config.taxMode === "fixed") {
+    await Promise.all(
+      config.taxRateIds.map(async id => {
+        const rate = await verifyObject(`tax rate ${id}`, () => payments.retrieveTaxRate(id));
+        if (rate) {
+          check(
+            `tax rate ${id} behavior`,
+            rate.inclusive === (config.taxBehavior === "inclusive"),
+            `is ${rate.inclusive ? "inclusive" : "exclusive"} but TAX_BEHAVIOR is ${config.taxBehavior} - credit would be off by the VAT`
+          );
+        }
+      })
+    );
+  }
+
+  if (config.bundlePriceId) {
+    const bundle = await verifyObject(`bundle price ${config.bundlePriceId}`, () =>
+      payments.retrievePrice(config.bundlePriceId)
+    );
+    if (bundle) {
+      const bundleCurrencies = currenciesOf(bundle);
+      check(
+        "bundle currency",
+        bundleCurrencies.includes(config.defaultCurrency),
+        `bundle is sold in ${bundleCurrencies.join(", ")} but DEFAULT_CURRENCY is ${config.defaultCurrency}`
+      );
+      check(
+        "bundle price type",
+        bundle.type === "one_time",
+        "bundle price is recurring - credit checkout runs in payment mode"
+      );
+
+      const convertible = c => bundleCurrencies.includes(c) || (config.currencyRates[c] && bundleCurrencies.some(b => config.currencyRates[b]));
+      const stranded = [...upgradeCurrencies].filter(c => !convertible(c));
+      check(
+        "credit currencies",
+        stranded.length === 0,
+        `single upgrades sold in ${stranded.join(", ")} can never count towards the bundle (add CURRENCY_RATES or currency_options)`
+      );
+    }
+  }
+
+  return checks;
+}
@@ -0,0 +1,161 @@
+// lib/coupons.js
+// Lifecycle of the one-off coupons + promotion codes that carry upgrade credit:
+// reuse a still-valid code for the same customer/job/tier/amount, deactivate the
+// ones a new amount supersedes, and clean up whatever expired unredeemed.
+import { log, withRequestId } from "./logger.js";
+import { openStore } from "./store.js";
+
+const CREDIT_CODE_TTL_SECONDS = 7 * 24 * 60 * 60; // 7 days
+const COUPON_NAME_PREFIX = "Upgrade credit for";
+// Coupons created before the upgrade ladder; cleanup still recognises them
+const LEGACY_NAME_PREFIXES = ["Bundle credit for"];
+
+export function createCreditCoupons({ payments, store = openStore("credit-coupons", { coupons: {} }) }) {
+  const { coupons } = store.data;
+
+  const now = () => Math.floor(Date.now() / 1000);
+
+  function activeFor(customer) {
+    return Object.values(coupons).filter(c => c.customer === customer && c.status === "active");
+  }
+
+  // Stripe is the source of truth for whether a code can still be used
+  async function stillRedeemable(entry) {
+    if (entry.expiresAt <= now() + 60) return false;
+    try {
+      const promo = await payments.retrievePromotionCode(entry.promotionCodeId);
+      return promo.active && promo.times_redeemed === 0;
+    } catch (err) {
+      if (err.statusCode === 404) return false;
+      throw err;
+    }
+  }
+
+  async function retire(entry, status) {
+    try {
+      await payments.updatePromotionCode(entry.promotionCodeId, { active: false });
+    } catch (err) {
+      if (err.statusCode !== 404) throw err;
+    }
+    entry.status = status;
+    entry.retiredAt = new Date().toISOString();
+    log.info("Retired credit promotion code", { promotionCode: entry.code, status });
+  }
+
+  return {
+    // Returns { id, code, couponId, reused } for the promotion code to apply
+    // productId limits the coupon to the tier being bought
+    async issue({ customer, email, jobId, amount, currency, productId = null, creditScope = "customer" }) {
+      const sameTarget = entry => entry.jobId === (jobId || "") && (entry.productId || null) === productId;
+      // Per-customer credit pools every purchase, so only one of its codes should
+      // be live. Per-job credit leaves other jobs' codes (and open checkouts) alone.
+      const competing = activeFor(customer).filter(entry => creditScope !== "job" || sameTarget(entry));
+
+      let reusable = null;
+      for (const entry of competing) {
+        const matches = sameTarget(entry) && entry.amount === amount && entry.currency === currency;
+        if (matches && !reusable && (await stillRedeemable(entry))) {
+          reusable = entry;
+        } else {
+          await retire(entry, matches ? "expired" : "superseded");
+        }
+      }
+
+      if (reusable) {
+        store.save();
+        log.info("Reusing credit promotion code", { promotionCode: reusable.code, customer });
+        return { id: reusable.promotionCodeId, code: reusable.code, couponId: reusable.couponId, reused: true };
+      }
+
+      const expiresAt = now() + CREDIT_CODE_TTL_SECONDS;
+
+      const coupon = await payments.createCoupon({
+        amount_off: amount,
+        currency,
+        duration: "once",
+        name: `${COUPON_NAME_PREFIX} ${email}`,
+        redeem_by: expiresAt,
+        ...(productId ? { applies_to: { products: [productId] } } : {}),
+        metadata: withRequestId({
+          customer_email: email,
+          credit_amount: amount,
+          job_id: jobId || ""
+        })
+      });
+      log.info("Created coupon", { couponId: coupon.id, amount, currency });
+
+      const promoCode = await payments.createPromotionCode({
+        coupon: coupon.id,
+        restrictions: {
+          first_time_transaction: false,
+          minimum_amount: 100, // Minimum 1.00 in the checkout currency
+          minimum_amount_currency: currency
+        },
+        max_redemptions: 1,
+        customer,
+        expires_at: expiresAt
+      });
+      log.info("Created promotion code", { promotionCode: promoCode.code, customer });
+
+      coupons[coupon.id] = {
+        couponId: coupon.id,
+        promotionCodeId: promoCode.id,
+        code: promoCode.code,
+        customer,
+        jobId: jobId || "",
+        productId,
+        amount,
+        currency,
+        status: "active",
+        createdAt: new Date().toISOString(),
+        expiresAt
+      };
+      store.save();
+
+      return { id: promoCode.id, code: promoCode.code, couponId: coupon.id, reused: false };
+    },
+
+    // Delete credit coupons that were superseded, or whose 7-day window passed
+    // without a redemption. Walks Stripe too, so orphans created before we tracked them get cleared.
+    async cleanup() {
+      const cutoff = now() - CREDIT_CODE_TTL_SECONDS;
+      const result = { deleted: 0, redeemed: 0, kept: 0 };
+
+      for await (const coupon of payments.listCoupons()) {
+        const isCredit =
+          [COUPON_NAME_PREFIX, ...LEGACY_NAME_PREFIXES].some(prefix => coupon.name?.startsWith(prefix)) &&
+          coupon.metadata?.credit_amount;
+        if (!isCredit) continue;
+
+        const entry = coupons[coupon.id];
+        if (coupon.times_redeemed > 0) {
+          if (entry) entry.status = "redeemed";
+          result.redeemed += 1;
+          continue;
+        }
+        // Superseded codes go straight away; anything else gets its full window
+        const live = coupon.valid && coupon.created > cutoff && (!entry || entry.status === "active");
+        if (live) {
+          result.kept += 1;
+          continue;
+        }
+
+        await payments.deleteCoupon(coupon.id);
+        if (entry) {
+          entry.status = "deleted";
+          entry.retiredAt = new Date().toISOString();
+        }
+        result.deleted += 1;
+      }
+
+      // Forget retired entries once they are well past their window
+      for (const [id, entry] of Object.entries(coupons)) {
+        if (entry.status !== "active" && entry.expiresAt < cutoff) delete coupons[id];
+      }
+      store.save();
+
+      log.info("Credit coupon cleanup", result);
+      return result;
+    },
+  };
+}
@@ -0,0 +1,77 @@
+// lib/currency.js
+// Currency selection, price lookup across currency_options, conversion via a
+// configured rate table and display formatting.
+import { HttpError } from "./errors.js";
+
+// Country (from CDN geo headers) -> currency we sell in
+const COUNTRY_CURRENCIES = {
+  GB: "gbp", IE: "eur", US: "usd",
+  AT: "eur", BE: "eur", CY: "eur", DE: "eur", EE: "eur", ES: "eur", FI: "eur", FR: "eur",
+  GR: "eur", HR: "eur", IT: "eur", LT: "eur", LU: "eur", LV: "eur", MT: "eur", NL: "eur",
+  PT: "eur", SI: "eur", SK: "eur",
+};
+
+export const GEO_HEADERS = ["cf-ipcountry", "x-vercel-ip-country", "cloudfront-viewer-country", "x-country-code"];
+
+// "gbp=1,usd=1.27,eur=1.17" -> { gbp: 1, usd: 1.27, eur: 1.17 } (units per 1 of the base)
+export function parseRates(raw) {
+  const rates = {};
+  for (const pair of (raw || "").split(",")) {
+    const [code, value] = pair.split("=").map(s => s?.trim());
+    const rate = Number(value);
+    if (code && rate > 0) rates[code.toLowerCase()] = rate;
+  }
+  return rates;
+}
+
+// Three-letter ISO code ("gbp", "USD") - anything else from a client is a 400
+export function isCurrencyCode(value) {
+  return typeof value === "string" && /^[a-z]{3}$/i.test(value);
+}
+
+// Explicit ?currency= (or body.currency) wins, then the visitor's country, then the default.
+// Throws a 400 HttpError for a value that isn't a currency code (a number, ?currency=a&currency=b).
+export function resolveCurrency(req, { fallback } = {}) {
+  let requested = req.query?.currency || req.body?.currency || "";
+  if (typeof requested === "string") requested = requested.trim();
+  if (requested && !isCurrencyCode(requested)) {
+    throw new HttpError(400, "invalid_request", "currency must be a three-letter currency code");
+  }
+  if (requested) return requested.toLowerCase();
+
+  for (const header of GEO_HEADERS) {
+    const country = req.get?.(header)?.toUpperCase();
+    const currency = country && COUNTRY_CURRENCIES[country];
+    if (currency) return currency;
+  }
+  return fallback;
+}
+
+// Unit amount for a Stripe price in a currency (base currency or currency_options), or null
+export function amountInCurrency(price, currency) {
+  if (!price) return null;
+  if (price.currency === currency) return price.unit_amount;
+  return price.currency_options?.[currency]?.unit_amount ?? null;
+}
+
+export function currenciesOf(price) {
+  return [...new Set([price.currency, ...Object.keys(price.currency_options || {})])];
+}
+
+// Returns a converter (amount, from, to) -> amount | null. Without a rate for
+// both sides only same-currency amounts convert.
+export function createConverter(rates = {}) {
+  return function convert(amount, from, to) {
+    if (from === to) return amount;
+    if (!rates[from] || !rates[to]) return null;
+    return Math.floor((amount / rates[from]) * rates[to]);
+  };
+}
+
+export function formatMoney(amount, currency) {
+  try {
+    return new Intl.NumberFormat("en-GB", { style: "currency", currency: currency.toUpperCase() }).format(amount / 100);
+  } catch {
+    return `${(amount / 100).toFixed(2)} ${currency.toUpperCase()}`;
+  }
+}
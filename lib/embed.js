@@ -0,0 +1,105 @@
+// lib/embed.js
+// Shared by the pages other sites put in an iframe (/logo-carousel,
+// /pricing-widget): HTML escaping, the frame-ancestors policy from
+// ALLOWED_ORIGINS, and theme options read from the query string. Query values
+// end up inside CSS and HTML, so everything is validated or escaped here -
+// never interpolated raw.
+import { log } from "./logger.js";
+
+const ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+export function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, ch => ESCAPES[ch]);
+}
+
+// Tagged template that escapes every interpolated value. Use raw() for
+// fragments that were themselves built with html``.
+export function html(strings, ...values) {
+  return strings.reduce((out, string, i) => {
+    if (i === 0) return string;
+    const value = values[i - 1];
+    const text = Array.isArray(value) ? value.map(v => v?.raw ?? escapeHtml(v)).join("") : value?.raw ?? escapeHtml(value);
+    return out + text + string;
+  }, "");
+}
+
+export function raw(markup) {
+  return { raw: markup };
+}
+
+// CSP source expressions only allow a leading "*." wildcard, so other patterns
+// from ALLOWED_ORIGINS can't be expressed and are left out
+function toSource(pattern) {
+  return /^https?:\/\/(\*\.)?[^*/\s;,']+$/.test(pattern) ? pattern : null;
+}
+
+// Content-Security-Policy for a framed page: who may embed it, and a tight
+// default for everything else. No origins configured = embeddable anywhere
+// (what X-Frame-Options: ALLOWALL was trying to say).
+export function createFramingPolicy({
+  allowedOrigins = [],
+  imageSources = ["https:", "data:"],
+  scriptSources = [],
+  connectSources = [],
+} = {}) {
+  const sources = allowedOrigins.map(toSource).filter(Boolean);
+  const skipped = allowedOrigins.filter(origin => !toSource(origin));
+  if (skipped.length) {
+    log.warn("ALLOWED_ORIGINS entries that can't be used for frame-ancestors", { origins: skipped });
+  }
+  const ancestors = allowedOrigins.length === 0 ? "*" : ["'self'", ...sources].join(" ");
+
+  const policy = [
+    "default-src 'none'",
+    `img-src ${imageSources.join(" ")}`,
+    "style-src 'unsafe-inline'",
+    ...(scriptSources.length ? [`script-src ${scriptSources.join(" ")}`] : []),
+    ...(connectSources.length ? [`connect-src ${connectSources.join(" ")}`] : []),
+    `frame-ancestors ${ancestors}`,
+  ].join("; ");
+
+  return function framing(req, res, next) {
+    res.set("Content-Security-Policy", policy);
+    res.removeHeader("X-Frame-Options");
+    next();
+  };
+}
+
+const HEX_COLOUR = /^#?([0-9a-f]{3}|[0-9a-f]{4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+export function colour(value, fallback) {
+  if (typeof value !== "string" || !HEX_COLOUR.test(value)) return fallback;
+  return value.startsWith("#") ? value : `#${value}`;
+}
+
+function bool(value, fallback) {
+  if (value === "true" || value === "1") return true;
+  if (value === "false" || value === "0") return false;
+  return fallback;
+}
+
+function clamp(value, min, max, fallback) {
+  const n = Number(value);
+  return value !== undefined && value !== "" && Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+}
+
+// ?title=&bg=&text=&accent=&greyscale=&speed= -> theme, with defaults for anything
+// missing or invalid. Colours are hex (with or without #); speed is in seconds.
+export function parseTheme(query, defaults = {}) {
+  const theme = {
+    title: defaults.title ?? "",
+    background: defaults.background ?? "#ffffff",
+    text: defaults.text ?? "#6b7280",
+    accent: defaults.accent ?? "#111827",
+    greyscale: defaults.greyscale ?? true,
+    speed: defaults.speed ?? 35,
+  };
+  return {
+    title: typeof query.title === "string" ? query.title.slice(0, 120) : theme.title,
+    background: colour(query.bg, theme.background),
+    text: colour(query.text, theme.text),
+    accent: colour(query.accent, theme.accent),
+    greyscale: bool(query.greyscale ?? query.grayscale, theme.greyscale),
+    speed: clamp(query.speed, 5, 300, theme.speed),
+  };
+}
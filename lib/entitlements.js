@@ -0,0 +1,187 @@
+// lib/entitlements.js
+// What each job listing has bought and until when. Every paid upgrade line item
+// becomes a row { jobId, upgrade (tier id), startsAt, expiresAt }, with the
+// length taken from ENTITLEMENT_DURATIONS per product. Buying the same upgrade
+// again extends it rather than overlapping. Plan-covered jobs get an open-ended
+// row that is revoked when the plan lapses.
+import { log } from "./logger.js";
+import { openStore } from "./store.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isLive(row, now = Date.now()) {
+  return (
+    row.status === "active" &&
+    Date.parse(row.startsAt) <= now &&
+    (!row.expiresAt || Date.parse(row.expiresAt) > now)
+  );
+}
+
+// What the job board sees - no customer, email or Stripe IDs
+function publicView(row) {
+  return {
+    upgrade: row.upgrade,
+    includes: row.includes,
+    source: row.source,
+    status: row.status,
+    startsAt: row.startsAt,
+    expiresAt: row.expiresAt,
+  };
+}
+
+export function createEntitlements({
+  ladder,
+  durations = {},
+  defaultDays = 30,
+  onEvent = () => {},
+  store = openStore("entitlements", { entitlements: {} }),
+}) {
+  const { entitlements } = store.data;
+
+  function rowsForJob(jobId) {
+    return Object.values(entitlements).filter(row => row.jobId === jobId);
+  }
+
+  // Days of featuring bought with a product; 0 means it never runs out
+  function daysFor(productId) {
+    return Object.hasOwn(durations, productId) ? durations[productId] : defaultDays;
+  }
+
+  function grant({ id, jobId, tier, source, sessionId = null, subscriptionId = null, days, now = Date.now() }) {
+    if (entitlements[id]) return entitlements[id];
+
+    // Stack after whatever is already running for this upgrade
+    const queuedUntil = rowsForJob(jobId)
+      .filter(row => row.upgrade === tier.id && row.status === "active" && row.expiresAt)
+      .reduce((latest, row) => Math.max(latest, Date.parse(row.expiresAt)), now);
+    const startsAt = Math.max(now, queuedUntil);
+
+    entitlements[id] = {
+      id,
+      jobId,
+      upgrade: tier.id,
+      includes: tier.creditFrom,
+      productId: tier.productId,
+      source,
+      sessionId,
+      subscriptionId,
+      status: "active",
+      startsAt: new Date(startsAt).toISOString(),
+      expiresAt: days > 0 ? new Date(startsAt + days * DAY_MS).toISOString() : null,
+      warnedAt: null,
+      createdAt: new Date(now).toISOString(),
+    };
+    log.info("Entitlement granted", { jobId, tier: tier.id, expiresAt: entitlements[id].expiresAt });
+    return entitlements[id];
+  }
+
+  // Another purchase of the same upgrade carries on after this one
+  function renewed(row, expiresAt) {
+    return rowsForJob(row.jobId).some(
+      other =>
+        other !== row &&
+        other.upgrade === row.upgrade &&
+        other.status === "active" &&
+        (!other.expiresAt || Date.parse(other.expiresAt) > expiresAt)
+    );
+  }
+
+  function revoke(rows, reason) {
+    for (const row of rows.filter(r => r.status === "active")) {
+      row.status = "revoked";
+      row.revokedAt = new Date().toISOString();
+      row.revokeReason = reason;
+      onEvent("upgrade.revoked", row);
+    }
+    store.save();
+    return rows;
+  }
+
+  return {
+    // Ledger rows from a paid session -> one entitlement per upgrade line item
+    async grantForPurchase(rows, session) {
+      const upgrades = await ladder.get();
+      const granted = [];
+      for (const row of rows) {
+        const tier = upgrades.tierForProduct(row.productId);
+        if (!row.jobId || !tier) continue;
+        granted.push(
+          grant({
+            id: `${row.sessionId}:${row.lineItemId}`,
+            jobId: row.jobId,
+            tier,
+            source: "purchase",
+            sessionId: session.id,
+            days: daysFor(row.productId),
+          })
+        );
+      }
+      if (granted.length) store.save();
+      return granted;
+    },
+
+    // A plan covers the job's top tier for as long as the plan is active
+    async grantForSubscription({ jobId, subscriptionId }) {
+      const upgrades = await ladder.get();
+      const tier = upgrades.tier(upgrades.defaultTier);
+      if (!tier) return null;
+      const row = grant({ id: `${subscriptionId}:${jobId}`, jobId, tier, source: "subscription", subscriptionId, days: 0 });
+      store.save();
+      return row;
+    },
+
+    revokeSession(sessionId, reason) {
+      return revoke(Object.values(entitlements).filter(row => row.sessionId === sessionId), reason);
+    },
+
+    revokeSubscription(subscriptionId, reason) {
+      return revoke(Object.values(entitlements).filter(row => row.subscriptionId === subscriptionId), reason);
+    },
+
+    // { jobId, upgrades: [tier ids live now, incl. the ones they include], expiresAt, entitlements }
+    forJob(jobId, now = Date.now()) {
+      const rows = rowsForJob(jobId).sort((a, b) => a.startsAt.localeCompare(b.startsAt));
+      const live = rows.filter(row => isLive(row, now));
+
+      // Featured until the end of the unbroken run of live and queued rows
+      // (null when nothing is live, or something live never expires)
+      let until = live.length ? now : null;
+      for (const row of rows.filter(r => r.status === "active")) {
+        if (until === null || Date.parse(row.startsAt) > until) continue;
+        until = row.expiresAt ? Math.max(until, Date.parse(row.expiresAt)) : null;
+      }
+
+      return {
+        jobId,
+        upgrades: [...new Set(live.flatMap(row => [row.upgrade, ...(row.includes || [])]))],
+        expiresAt: until === null ? null : new Date(until).toISOString(),
+        entitlements: rows.map(publicView),
+      };
+    },
+
+    // Warn about rows running out within warnMs, and close the ones that have.
+    // onEvent gets "upgrade.expiring_soon" once per row and "upgrade.expired".
+    sweep({ warnMs, now = Date.now() }) {
+      const result = { warned: 0, expired: 0 };
+      for (const row of Object.values(entitlements)) {
+        if (row.status !== "active" || !row.expiresAt) continue;
+        const expiresAt = Date.parse(row.expiresAt);
+        if (expiresAt <= now) {
+          row.status = "expired";
+          result.expired += 1;
+          onEvent("upgrade.expired", row);
+        } else if (!row.warnedAt && expiresAt - now <= warnMs && !renewed(row, expiresAt)) {
+          row.warnedAt = new Date(now).toISOString();
+          result.warned += 1;
+          onEvent("upgrade.expiring_soon", row);
+        }
+      }
+      if (result.warned || result.expired) store.save();
+      return result;
+    },
+
+    hasLive(jobId) {
+      return rowsForJob(jobId).some(row => isLive(row));
+    },
+  };
+}
@@ -0,0 +1,28 @@
+// lib/error-log.js
+// In-memory ring buffer of recent request failures for the admin API. requestId
+// (in context) is ours, for finding the request's log lines; stripeRequestId is
+// Stripe's, for their dashboard and support.
+
+export function createErrorLog({ limit = 200 } = {}) {
+  const errors = [];
+
+  return {
+    record(route, error, context = {}) {
+      errors.push({
+        at: new Date().toISOString(),
+        route,
+        type: error.type || error.name || "Error",
+        code: error.code || null,
+        message: error.message,
+        stripeRequestId: error.requestId || null,
+        ...context,
+      });
+      if (errors.length > limit) errors.shift();
+    },
+
+    // Newest first
+    list({ limit: count = 50 } = {}) {
+      return errors.slice(-count).reverse();
+    },
+  };
+}
@@ -0,0 +1,129 @@
+// lib/errors.js
+// One shape for every error response:
+//   { error: "Human-readable message", code: "not_found", details?: ..., requestId: "..." }
+// code is one of ERROR_CODES and is what callers should branch on; error and
+// details are for people and may change. requestId matches the X-Request-Id
+// header and the server's log lines for the request.
+//
+// Routes either answer a known problem themselves (res.status(404).json({ error }))
+// - errorEnvelope() fills in code and requestId - or throw / next() the error and
+// let errorHandler() log it and pick the response.
+import { log, requestId } from "./logger.js";
+
+export const ERROR_CODES = [
+  "invalid_request", // 400: bad parameters, cart or redirect
+  "invalid_json", // 400: the body isn't JSON
+  "payment_method_error", // 400: Stripe declined the card or payment method
+  "payment_request_rejected", // 400: Stripe refused the request we sent
+  "unauthorized", // 401: missing or bad admin credentials or checkout token
+  "forbidden", // 403: e.g. an origin outside ALLOWED_ORIGINS
+  "not_found", // 404
+  "conflict", // 409: already covered, in progress, key reused...
+  "rate_limited", // 429
+  "not_configured", // 500/503: a setting this endpoint needs is missing
+  "payment_provider_error", // 500: Stripe failed or is unreachable
+  "internal_error", // 500: a bug on our side
+];
+
+const CODE_FOR_STATUS = {
+  400: "invalid_request",
+  401: "unauthorized",
+  403: "forbidden",
+  404: "not_found",
+  409: "conflict",
+  429: "rate_limited",
+  503: "not_configured",
+};
+
+// A problem with a known status and code, e.g. throw new HttpError(404, "not_found", "Checkout session not found")
+export class HttpError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export function codeForStatus(status) {
+  return CODE_FOR_STATUS[status] || (status >= 500 ? "internal_error" : "invalid_request");
+}
+
+// error -> { status, body } for the response. Stripe's message is passed on for
+// its own errors (they say what was wrong with the payment); anything else is a
+// bug and the client only gets the request ID to quote.
+export function describeError(error) {
+  if (error instanceof HttpError) {
+    return { status: error.status, body: { error: error.message, code: error.code, details: error.details } };
+  }
+  // express.json() with a malformed body
+  if (error.type === "entity.parse.failed") {
+    return { status: 400, body: { error: "Request body is not valid JSON", code: "invalid_json" } };
+  }
+  if (error.type === "StripeCardError") {
+    return { status: 400, body: { error: "Payment method issue", code: "payment_method_error", details: error.message } };
+  }
+  if (error.type === "StripeInvalidRequestError") {
+    if (error.code === "resource_missing") {
+      return { status: 404, body: { error: "Not found", code: "not_found", details: error.message } };
+    }
+    return { status: 400, body: { error: "Invalid request to Stripe", code: "payment_request_rejected", details: error.message } };
+  }
+  if (error.type === "StripeIdempotencyError") {
+    return { status: 409, body: { error: "Conflicting retry of an earlier request", code: "conflict", details: error.message } };
+  }
+  if (typeof error.type === "string" && error.type.startsWith("Stripe")) {
+    return { status: 500, body: { error: "Payment provider error", code: "payment_provider_error", details: error.message } };
+  }
+  return { status: 500, body: { error: "Something went wrong", code: "internal_error" } };
+}
+
+// Early middleware: every JSON error response (status >= 400 with an error
+// message) gets a code for its status and the request ID
+export function errorEnvelope() {
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = body => {
+      if (res.statusCode >= 400 && body && typeof body === "object" && !Array.isArray(body) && "error" in body) {
+        body = { ...body, code: body.code || codeForStatus(res.statusCode), requestId: req.id || requestId() };
+      }
+      return json(body);
+    };
+    next();
+  };
+}
+
+// Last middleware: logs the error, keeps unexpected ones in the admin error log
+// (GET /admin/errors) and sends the envelope
+export function errorHandler({ errorLog } = {}) {
+  // Express spots error handlers by their four arguments
+  return (error, req, res, next) => {
+    const { status, body } = describeError(error);
+    const route = `${req.method} ${req.baseUrl}${req.route?.path || req.path}`;
+    if (error instanceof HttpError || status < 500) log.warn("Request failed", { route, status, error });
+    else log.error("Request failed", { route, status, error });
+    if (!(error instanceof HttpError) && error.type !== "entity.parse.failed") {
+      errorLog?.record(route, error, { requestId: req.id || null, jobId: req.checkoutIdentity?.jobId || null });
+    }
+
+    if (res.headersSent) return next(error);
+    res.status(status).json(body);
+  };
+}
+
+// payments.retrieveX(id).catch(notFoundAs("X not found")): Stripe's "no such
+// object" becomes our 404 with a message that says what was missing
+export function notFoundAs(message) {
+  return error => {
+    throw error.code === "resource_missing" ? new HttpError(404, "not_found", message) : error;
+  };
+}
+
+// Express 4 doesn't catch rejected promises from async handlers - this passes
+// them on to errorHandler()
+export function asyncRoute(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+}
@@ -0,0 +1,48 @@
+// lib/fulfilment.js
+// Records which jobs have been upgraded. Driven by the Stripe webhook, never
+// by the browser landing on SUCCESS_URL.
+import { log } from "./logger.js";
+import { openStore } from "./store.js";
+
+export function createFulfilment({ store = openStore("jobs") } = {}) {
+  const jobs = store.data;
+
+  function record(jobId, status, details) {
+    const previous = jobs[jobId];
+    jobs[jobId] = {
+      ...details,
+      status,
+      updatedAt: new Date().toISOString(),
+      history: [
+        ...(previous?.history || []),
+        { status, sessionId: details.sessionId, reason: details.reason, at: new Date().toISOString() },
+      ],
+    };
+    store.save();
+    return jobs[jobId];
+  }
+
+  return {
+    // reason is "paid", or "subscription" for jobs covered by a recruiter plan
+    markUpgraded(jobId, { sessionId = null, subscriptionId = null, customer, email, source, reason = "paid" }) {
+      log.info("Job upgraded", { jobId, sessionId, subscriptionId, reason });
+      return record(jobId, "upgraded", { sessionId, subscriptionId, customer, email, source, reason });
+    },
+
+    markDowngraded(jobId, { sessionId, reason }) {
+      log.info("Job downgraded", { jobId, sessionId, reason });
+      return record(jobId, "downgraded", { ...jobs[jobId], sessionId, reason });
+    },
+
+    getStatus(jobId) {
+      return jobs[jobId] || null;
+    },
+
+    // Jobs currently upgraded through a subscription
+    jobsForSubscription(subscriptionId) {
+      return Object.keys(jobs).filter(
+        jobId => jobs[jobId].status === "upgraded" && jobs[jobId].subscriptionId === subscriptionId
+      );
+    },
+  };
+}
@@ -0,0 +1,345 @@
+// lib/funnel.js
+// Conversion funnel: prices served -> checkout created (plain, credit or plan)
+// -> completed or expired, and refunds after that. Checkout events are kept one
+// per session and stage, with the products, metadata.source, amounts and credit,
+// so GET /reports/funnel can slice them by product, source and date.
+//
+// /prices is only counted per day - it is cached for 60s at the edge, so this is
+// the requests that reached us rather than every page view.
+// Employers are counted by a hash of their email; the address itself isn't kept.
+import crypto from "node:crypto";
+import { log } from "./logger.js";
+import { idOf } from "./payments/ids.js";
+import { openStore } from "./store.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Events (and daily counts) older than this are dropped
+const RETENTION_DAYS = 731;
+const DEFAULT_RANGE_DAYS = 30;
+// /prices counts are written at most this often rather than on every request
+const COUNT_SAVE_DELAY_MS = 5000;
+
+const dayOf = time => new Date(time).toISOString().slice(0, 10);
+
+// What kind of checkout a session was, from the metadata.source we set on it
+export function checkoutKind(source) {
+  if (source === "credit-checkout") return "credit";
+  if (source === "golf-jobs-subscription") return "subscription";
+  return "plain";
+}
+
+function customerKey(email) {
+  const normalised = (email || "").trim().toLowerCase();
+  return normalised ? crypto.createHash("sha256").update(normalised).digest("hex").slice(0, 16) : null;
+}
+
+// ?from=&to= as YYYY-MM-DD (UTC, inclusive) -> { from, to } or { error, details }.
+// Defaults to the last 30 days.
+export function reportRange({ from, to } = {}, now = Date.now()) {
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value === undefined) continue;
+    const valid = typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+      !Number.isNaN(Date.parse(value)) && dayOf(Date.parse(value)) === value;
+    if (!valid) return { error: `${name} must be a date (YYYY-MM-DD)`, details: value };
+  }
+  const end = to || dayOf(now);
+  const start = from || dayOf(Date.parse(end) - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+  if (start > end) return { error: "from must not be after to", details: { from: start, to: end } };
+  if (Date.parse(end) - Date.parse(start) >= RETENTION_DAYS * DAY_MS) {
+    return { error: `The range can be at most ${RETENTION_DAYS} days`, details: { from: start, to: end } };
+  }
+  return { from: start, to: end };
+}
+
+function datesBetween(from, to) {
+  const dates = [];
+  for (let time = Date.parse(from); time <= Date.parse(to); time += DAY_MS) dates.push(dayOf(time));
+  return dates;
+}
+
+const rate = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 1000 : null);
+
+// { gbp: 12300, usd: 4900 } from a list of events
+function byCurrency(events, amountOf) {
+  const totals = {};
+  for (const event of events) {
+    const amount = amountOf(event);
+    if (!amount || !event.currency) continue;
+    totals[event.currency] = (totals[event.currency] || 0) + amount;
+  }
+  return totals;
+}
+
+export const CSV_GROUPS = ["day", "product", "source"];
+
+function csvCell(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One table from a report() - a row per day, product or source - as CSV. Money is
+// in major units with a column per currency (revenue_gbp, refunds_usd...).
+export function funnelCsv(report, by = "day") {
+  const rows = by === "day"
+    ? report.byDay.map(({ date, ...summary }) => [date, summary])
+    : Object.entries(by === "product" ? report.byProduct : report.bySource);
+  const currencies = [...new Set(rows.flatMap(([, s]) => [...Object.keys(s.revenue), ...Object.keys(s.refunds)]))].sort();
+  const money = (totals, currency) => ((totals[currency] || 0) / 100).toFixed(2);
+
+  const header = [
+    by,
+    ...(by === "day" ? ["prices_served"] : []),
+    "checkouts", "plain", "credit", "subscription", "completed", "expired", "refunded",
+    "conversion_rate", "expiry_rate",
+    ...currencies.flatMap(c => [`revenue_${c}`, `refunds_${c}`, `net_revenue_${c}`, `credit_applied_${c}`]),
+  ];
+  const lines = rows.map(([key, s]) => [
+    key,
+    ...(by === "day" ? [s.pricesServed] : []),
+    s.checkouts, s.plain, s.credit, s.subscription, s.completed, s.expired, s.refunded,
+    s.conversionRate, s.expiryRate,
+    ...currencies.flatMap(c => [money(s.revenue, c), money(s.refunds, c), money(s.netRevenue, c), money(s.creditApplied, c)]),
+  ]);
+  return [header, ...lines].map(line => line.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+export function createFunnel({ store = openStore("funnel", { events: {}, daily: {} }) } = {}) {
+  const { events, daily } = store.data;
+  let saveTimer = null;
+
+  function prune(now = Date.now()) {
+    const cutoff = dayOf(now - RETENTION_DAYS * DAY_MS);
+    for (const [id, event] of Object.entries(events)) {
+      if (event.date < cutoff) delete events[id];
+    }
+    for (const date of Object.keys(daily)) {
+      if (date < cutoff) delete daily[date];
+    }
+  }
+
+  const find = (type, sessionId) => events[`${type}:${sessionId}`] || null;
+
+  // One event per session and stage; a later one replaces it (refunds are cumulative)
+  function record(type, sessionId, fields) {
+    const now = Date.now();
+    prune(now);
+    const earlier = find("checkout.completed", sessionId) || find("checkout.created", sessionId) || {};
+    events[`${type}:${sessionId}`] = {
+      type,
+      sessionId,
+      at: new Date(now).toISOString(),
+      date: dayOf(now),
+      kind: earlier.kind || "plain",
+      source: earlier.source || null,
+      productIds: earlier.productIds || [],
+      tier: earlier.tier || null,
+      customer: earlier.customer || null,
+      currency: earlier.currency || null,
+      amount: 0,
+      credit: earlier.credit || 0,
+      ...fields,
+    };
+    store.save();
+    return events[`${type}:${sessionId}`];
+  }
+
+  function fromSession(session) {
+    const source = session.metadata?.source || null;
+    const fields = {
+      source,
+      kind: checkoutKind(source),
+      tier: session.metadata?.tier || null,
+      currency: session.currency || null,
+      credit: Number(session.metadata?.credit_applied || 0),
+    };
+    const email = session.customer_details?.email || session.customer_email || session.metadata?.email;
+    if (email) fields.customer = customerKey(email);
+    return fields;
+  }
+
+  // A session we created. The same session again (an idempotent retry) is ignored.
+  function checkoutCreated(session, { productIds = [], email } = {}) {
+    const existing = find("checkout.created", session.id);
+    if (existing) return existing;
+    return record("checkout.created", session.id, {
+      ...fromSession(session),
+      productIds,
+      amount: session.amount_total ?? 0,
+      customer: customerKey(email || session.customer_email || session.metadata?.email),
+    });
+  }
+
+  // rows are the session's ledger rows - what was paid per product
+  function checkoutCompleted(session, rows) {
+    return record("checkout.completed", session.id, {
+      ...fromSession(session),
+      productIds: [...new Set(rows.map(row => row.productId).filter(Boolean))],
+      amount: session.amount_total ?? rows.reduce((sum, row) => sum + row.amountPaid, 0),
+      items: rows.map(row => ({ productId: row.productId, amount: row.amountPaid })),
+    });
+  }
+
+  // Products come from the checkout.created event - expired sessions don't list them
+  function checkoutExpired(session) {
+    return record("checkout.expired", session.id, {
+      ...fromSession(session),
+      ...(session.amount_total != null ? { amount: session.amount_total } : {}),
+    });
+  }
+
+  // Refunded so far on a session, from its ledger rows (after refreshPayment)
+  function checkoutRefunded(rows) {
+    const amount = rows.reduce((sum, row) => sum + (row.amountRefunded || 0), 0);
+    if (!amount) return null;
+    return record("checkout.refunded", rows[0].sessionId, {
+      currency: rows[0].currency,
+      amount,
+      items: rows.map(row => ({ productId: row.productId, amount: row.amountRefunded || 0 })),
+    });
+  }
+
+  // Product-level amounts where we have them (items), else the whole session's
+  function amountOf(event, product) {
+    if (!product || !event.items) return event.amount || 0;
+    return event.items.filter(item => item.productId === product).reduce((sum, item) => sum + item.amount, 0);
+  }
+
+  // Counts in the range, plus how many of the checkouts created in it went on to
+  // complete or expire (whenever that was)
+  function summarise(list, product) {
+    const of = type => list.filter(event => event.type === type);
+    const created = of("checkout.created");
+    const completed = of("checkout.completed");
+    const refunded = of("checkout.refunded");
+    const converted = created.filter(event => find("checkout.completed", event.sessionId));
+    const expired = created.filter(event => find("checkout.expired", event.sessionId));
+    const revenue = byCurrency(completed, event => amountOf(event, product));
+    const refunds = byCurrency(refunded, event => amountOf(event, product));
+    const netRevenue = { ...revenue };
+    for (const [currency, amount] of Object.entries(refunds)) netRevenue[currency] = (netRevenue[currency] || 0) - amount;
+
+    return {
+      checkouts: created.length,
+      plain: created.filter(event => event.kind === "plain").length,
+      credit: created.filter(event => event.kind === "credit").length,
+      subscription: created.filter(event => event.kind === "subscription").length,
+      completed: completed.length,
+      expired: of("checkout.expired").length,
+      refunded: refunded.length,
+      conversionRate: rate(converted.length, created.length),
+      expiryRate: rate(expired.length, created.length),
+      revenue,
+      refunds,
+      netRevenue,
+      creditApplied: byCurrency(completed, event => event.credit),
+    };
+  }
+
+  function groupBy(list, keysOf, product) {
+    const groups = {};
+    for (const event of list) {
+      for (const key of keysOf(event)) (groups[key] ||= []).push(event);
+    }
+    return Object.fromEntries(
+      Object.entries(groups)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([key, events]) => [key, summarise(events, product ?? key)])
+    );
+  }
+
+  return {
+    // GET /prices reached us (counted per day, saved shortly after)
+    pricesServed(now = Date.now()) {
+      const date = dayOf(now);
+      daily[date] = { pricesServed: (daily[date]?.pricesServed || 0) + 1 };
+      if (saveTimer) return;
+      saveTimer = setTimeout(() => {
+        saveTimer = null;
+        store.save();
+      }, COUNT_SAVE_DELAY_MS);
+      saveTimer.unref();
+    },
+
+    checkoutCreated,
+    checkoutCompleted,
+    checkoutExpired,
+    checkoutRefunded,
+
+    // { from, to } from reportRange(); product and source narrow it to checkouts
+    // with that product / metadata.source
+    report({ from, to, product, source }) {
+      const dates = datesBetween(from, to);
+      const inRange = Object.values(events).filter(event =>
+        event.date >= from && event.date <= to &&
+        (!product || event.productIds.includes(product)) &&
+        (!source || (event.source || "unknown") === source)
+      );
+      const pricesServed = dates.reduce((sum, date) => sum + (daily[date]?.pricesServed || 0), 0);
+      const totals = summarise(inRange, product);
+
+      // Employers offered credit towards a higher tier, and how many took it
+      const creditEvents = inRange.filter(event => event.kind === "credit");
+      const offered = new Set(creditEvents.filter(e => e.type === "checkout.created" && e.customer).map(e => e.customer));
+      const bought = new Set(
+        creditEvents
+          .filter(e => e.type === "checkout.created" && e.customer && find("checkout.completed", e.sessionId))
+          .map(e => e.customer)
+      );
+
+      return {
+        from,
+        to,
+        product: product || null,
+        source: source || null,
+        pricesServed,
+        // /prices isn't per product or source, so this is only meaningful unfiltered
+        checkoutRate: product || source ? null : rate(totals.checkouts, pricesServed),
+        totals,
+        creditUpgrades: {
+          employersOffered: offered.size,
+          employersBought: bought.size,
+          employerConversionRate: rate(bought.size, offered.size),
+          ...summarise(creditEvents, product),
+          byTier: groupBy(creditEvents, event => [event.tier || "unknown"], product || null),
+        },
+        byProduct: groupBy(inRange, event => event.productIds, product),
+        bySource: groupBy(inRange, event => [event.source || "unknown"], product || null),
+        byDay: dates.map(date => ({
+          date,
+          pricesServed: daily[date]?.pricesServed || 0,
+          ...summarise(inRange.filter(event => event.date === date), product),
+        })),
+      };
+    },
+
+    // Stripe events for completions, expiries and refunds. Funnel bookkeeping never
+    // fails a webhook - errors are logged and the event still counts as handled.
+    // Runs after the fulfilment handlers, which have the ledger rows up to date.
+    webhookHandlers({ ledger }) {
+      const safely = handler => async object => {
+        try {
+          await handler(object);
+        } catch (err) {
+          log.error("Funnel tracking failed", { error: err });
+        }
+      };
+      const completed = safely(session => {
+        const rows = ledger.purchasesForSession(session.id);
+        if (rows.length > 0) checkoutCompleted(session, rows);
+      });
+
+      return {
+        "checkout.session.completed": async session => {
+          if (session.payment_status !== "unpaid") await completed(session);
+        },
+        "checkout.session.async_payment_succeeded": completed,
+        "checkout.session.expired": safely(session => checkoutExpired(session)),
+        "charge.refunded": safely(charge => {
+          const rows = ledger.purchasesForPayment(idOf(charge.payment_intent));
+          // A payment intent belongs to one session
+          if (rows.length > 0) checkoutRefunded(rows);
+        }),
+      };
+    },
+  };
+}
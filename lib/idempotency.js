@@ -0,0 +1,156 @@
+// lib/idempotency.js
+// Replays the first response for a repeated checkout request. The key is the
+// client's Idempotency-Key header, or - when there isn't one - derived from
+// who is checking out plus the request itself, so a double-click or a client
+// retry gets the same Stripe session instead of a second one (and a second
+// coupon). Reusing a header key for a different request is a 409.
+//
+// Only successful responses are kept; errors are forgotten so a retry can
+// succeed. Records expire after windowMs.
+import crypto from "node:crypto";
+import { openStore } from "./store.js";
+
+const MAX_KEY_LENGTH = 255;
+// A request that never finished (crash mid-checkout) stops blocking its key after this
+const IN_PROGRESS_TIMEOUT_MS = 2 * 60 * 1000;
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+// JSON with sorted keys, so { a, b } and { b, a } fingerprint the same
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonical(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function withoutToken({ token, ...rest } = {}) {
+  return rest;
+}
+
+// What makes two requests "the same": route, identity and payload (not the token,
+// which the main app re-mints on every page load)
+function fingerprintOf(req) {
+  return sha256(
+    canonical({
+      route: `${req.method} ${req.baseUrl}${req.path}`,
+      email: req.checkoutIdentity?.email?.toLowerCase() || null,
+      jobId: req.checkoutIdentity?.jobId || null,
+      query: withoutToken(req.query),
+      body: withoutToken(req.body),
+    })
+  );
+}
+
+// Stripe keeps its own idempotency keys for 24h and rejects a key reused with
+// different parameters, so fold the parameters into the key we send it. The
+// request ID in metadata (lib/logger.js) only traces the request, so it is left
+// out - requestKey alone decides which requests are the same.
+export function stripeIdempotencyKey(prefix, requestKey, params) {
+  const { requestId, ...metadata } = params.metadata || {};
+  const hashed = params.metadata ? { ...params, metadata } : params;
+  return `${prefix}-${sha256(canonical({ requestKey, params: hashed }))}`;
+}
+
+export function createIdempotency({ store = openStore("idempotency", { keys: {} }), windowMs }) {
+  const pending = new Map(); // record key -> promise settled when the first request finishes
+
+  function prune(now = Date.now()) {
+    for (const [key, record] of Object.entries(store.data.keys)) {
+      if (record.expiresAt <= now) delete store.data.keys[key];
+    }
+  }
+
+  function replay(res, record) {
+    const { status, body, location } = record.response;
+    res.set("Idempotent-Replayed", "true");
+    if (location) return res.redirect(status, location);
+    res.status(status).json(body);
+  }
+
+  // Middleware; must run after checkoutIdentity so keys are scoped per customer
+  return function idempotent(req, res, next) {
+    // Off: every request is a new one, at Stripe too
+    if (windowMs <= 0) {
+      req.idempotencyKey = `once:${crypto.randomUUID()}`;
+      return next();
+    }
+
+    const header = req.get("idempotency-key");
+    if (header !== undefined && (!header.trim() || header.length > MAX_KEY_LENGTH)) {
+      return res.status(400).json({ error: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters` });
+    }
+
+    const fingerprint = fingerprintOf(req);
+    const owner = req.checkoutIdentity?.email?.toLowerCase() || "anonymous";
+    const key = header ? sha256(`key:${owner}:${header.trim()}`) : `derived:${fingerprint}`;
+
+    const now = Date.now();
+    const existing = store.data.keys[key];
+    if (existing && existing.expiresAt > now) {
+      if (existing.fingerprint !== fingerprint) {
+        return res.status(409).json({ error: "Idempotency-Key was already used for a different request" });
+      }
+      if (existing.response) return replay(res, existing);
+
+      // Same request still running here: wait for it and send the same answer
+      if (pending.has(key)) {
+        return pending.get(key).then(() => {
+          const record = store.data.keys[key];
+          if (record?.response) return replay(res, record);
+          idempotent(req, res, next); // the first one failed - run this one for real
+        });
+      }
+      if (now - existing.startedAt < IN_PROGRESS_TIMEOUT_MS) {
+        res.set("Retry-After", "2");
+        return res.status(409).json({ error: "A request with this Idempotency-Key is still in progress" });
+      }
+    }
+
+    store.data.keys[key] = { fingerprint, startedAt: now, expiresAt: now + windowMs, response: null };
+    // What routes pass to stripeIdempotencyKey(). The record's start keeps Stripe's
+    // 24h cache from handing back the same session once our window has passed.
+    req.idempotencyKey = `${key}:${now}`;
+    let settle;
+    pending.set(key, new Promise(resolve => (settle = resolve)));
+
+    // Keep what the route sends, at the moment it sends it - the client may
+    // already have gone (a double-click aborts the first request)
+    let settled = false;
+    function remember(status, body, location) {
+      if (settled) return;
+      settled = true;
+      const record = store.data.keys[key];
+      if (record && status < 400 && (body !== undefined || location)) {
+        record.response = { status, body, location };
+      } else {
+        delete store.data.keys[key];
+      }
+      prune();
+      store.save();
+      pending.delete(key);
+      settle();
+    }
+
+    const json = res.json.bind(res);
+    res.json = payload => {
+      remember(res.statusCode, payload);
+      return json(payload);
+    };
+    const redirect = res.redirect.bind(res);
+    res.redirect = (status, url) => {
+      if (url === undefined) remember(302, undefined, status);
+      else remember(status, undefined, url);
+      return redirect(status, url);
+    };
+    res.on("finish", () => remember(res.statusCode));
+
+    next();
+  };
+}
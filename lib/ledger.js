@@ -0,0 +1,233 @@
+// lib/ledger.js
+// Local purchase ledger: one row per paid line item (customer, job, product,
+// amount). Filled by the webhook as sessions are fulfilled and by the backfill
+// (POST /admin/ledger/backfill) for history, so credit checks never have to
+// rescan Stripe.
+// Refunds and disputes are tracked per payment intent and spread across that
+// session's rows, so credit only counts money we actually kept. Operators can
+// add manual credit rows or revoke a job's credit through the admin API.
+import crypto from "node:crypto";
+import { idOf } from "./payments/ids.js";
+import { openStore } from "./store.js";
+
+// Dispute outcomes where the funds stay with us
+const SETTLED_DISPUTE_STATUSES = ["won", "warning_closed"];
+
+export function netAmount(row) {
+  return Math.max(0, row.amountPaid - (row.amountRefunded || 0) - (row.amountDisputed || 0));
+}
+
+// What a row counts for towards another price: what we kept, less the VAT in it
+// when that price is tax-exclusive (its coupon comes off before VAT is added)
+function creditValue(row, taxBehavior) {
+  const kept = netAmount(row);
+  if (taxBehavior !== "exclusive" || !row.amountTax || !row.amountPaid) return kept;
+  return Math.round((kept * (row.amountPaid - row.amountTax)) / row.amountPaid);
+}
+
+// Split a payment-level amount across line items in proportion to what each cost.
+// The last row takes the rounding remainder so the parts always add back up.
+function allocate(rows, amount, field) {
+  const total = rows.reduce((sum, row) => sum + row.amountPaid, 0);
+  let remaining = amount;
+  rows.forEach((row, i) => {
+    const share = i === rows.length - 1 ? remaining : total ? Math.round((amount * row.amountPaid) / total) : 0;
+    row[field] = Math.max(0, Math.min(share, row.amountPaid));
+    remaining -= row[field];
+  });
+}
+
+export function createLedger({ payments, store = openStore("ledger", { purchases: {} }) }) {
+  const { purchases } = store.data;
+
+  // Refunded and disputed totals across every charge on a payment intent
+  async function paymentAdjustments(paymentIntentId) {
+    const adjustments = { refunded: 0, disputed: 0 };
+    if (!paymentIntentId) return adjustments;
+
+    const charges = await payments.listCharges(paymentIntentId);
+
+    for (const charge of charges) {
+      adjustments.refunded += charge.amount_refunded || 0;
+      if (!charge.disputed) continue;
+      const dispute = charge.dispute;
+      if (typeof dispute === "object" && dispute) {
+        if (!SETTLED_DISPUTE_STATUSES.includes(dispute.status)) adjustments.disputed += dispute.amount;
+      } else {
+        adjustments.disputed += charge.amount - (charge.amount_refunded || 0);
+      }
+    }
+    return adjustments;
+  }
+
+  function applyAdjustments(rows, { refunded, disputed }) {
+    allocate(rows, refunded, "amountRefunded");
+    // A dispute can only take what the refund left behind
+    const afterRefunds = rows.map(row => ({ amountPaid: row.amountPaid - row.amountRefunded }));
+    allocate(afterRefunds, disputed, "amountDisputed");
+    rows.forEach((row, i) => {
+      row.amountDisputed = afterRefunds[i].amountDisputed;
+      row.adjustedAt = new Date().toISOString();
+    });
+  }
+
+  async function recordSession(session, { save = true } = {}) {
+    if (session.payment_status !== "paid" && session.payment_status !== "no_payment_required") {
+      return [];
+    }
+
+    const items = await payments.listLineItems(session.id);
+
+    const paymentIntent = idOf(session.payment_intent);
+    const email = (session.customer_details?.email || session.metadata?.email || "").toLowerCase() || null;
+    const rows = items.map(item => {
+      const row = {
+        sessionId: session.id,
+        lineItemId: item.id,
+        customer: idOf(session.customer),
+        email,
+        jobId: session.metadata?.jobId || null,
+        productId: idOf(item.price?.product),
+        priceId: item.price?.id || null,
+        paymentIntent,
+        quantity: item.quantity,
+        // amount_total is after discounts, so earlier promo codes are already netted off
+        amountPaid: item.amount_total,
+        amountDiscount: item.amount_discount || 0,
+        // VAT included in amountPaid
+        amountTax: item.amount_tax || 0,
+        currency: item.currency,
+        source: session.metadata?.source || null,
+        createdAt: new Date(session.created * 1000).toISOString(),
+      };
+      // Recording again (re-fulfilment, a backfill re-run) updates the row in
+      // place, so an operator's creditRevoked stays put
+      const key = `${session.id}:${item.id}`;
+      purchases[key] = { ...purchases[key], ...row };
+      return purchases[key];
+    });
+
+    applyAdjustments(rows, await paymentAdjustments(paymentIntent));
+
+    if (save) store.save();
+    return rows;
+  }
+
+  // Purchases by Stripe customer ID, plus guest checkouts made with the same email
+  function purchasesFor({ customer, email }) {
+    const normalisedEmail = email?.toLowerCase();
+    return Object.values(purchases).filter(p =>
+      (customer && p.customer === customer) || (normalisedEmail && p.email === normalisedEmail)
+    );
+  }
+
+  return {
+    recordSession,
+    purchasesFor,
+
+    purchasesForJob(jobId) {
+      return Object.values(purchases).filter(p => p.jobId === jobId);
+    },
+
+    purchasesForSession(sessionId) {
+      return Object.values(purchases).filter(p => p.sessionId === sessionId);
+    },
+
+    purchasesForPayment(paymentIntentId) {
+      return paymentIntentId ? Object.values(purchases).filter(p => p.paymentIntent === paymentIntentId) : [];
+    },
+
+    // Re-read refunds/disputes for a payment (charge.refunded, charge.dispute.*)
+    async refreshPayment(paymentIntentId) {
+      const rows = Object.values(purchases).filter(p => p.paymentIntent === paymentIntentId);
+      if (rows.length === 0) return [];
+      applyAdjustments(rows, await paymentAdjustments(paymentIntentId));
+      store.save();
+      return rows;
+    },
+
+    // Net credit in `currency` from purchases of the given products, with the rows
+    // that made it up. Other currencies only count if `convert` has a rate for them.
+    // With a jobId, only that job's purchases count (per-job credit tiers).
+    // taxBehavior is the target price's (lib/tax.js) - "exclusive" leaves VAT out.
+    creditFor({ customer, email, jobId, productIds, currency, taxBehavior = "inclusive", convert = (amount, from, to) => (from === to ? amount : null) }) {
+      const breakdown = purchasesFor({ customer, email })
+        .filter(p => !jobId || p.jobId === jobId)
+        .filter(p => !p.creditRevoked && (p.manual || (p.productId && productIds.includes(p.productId))))
+        .map(p => ({
+          sessionId: p.sessionId,
+          manual: !!p.manual,
+          jobId: p.jobId,
+          productId: p.productId,
+          purchasedAt: p.createdAt,
+          currency: p.currency,
+          amountPaid: p.amountPaid,
+          amountRefunded: p.amountRefunded || 0,
+          amountDisputed: p.amountDisputed || 0,
+          amountTax: p.amountTax || 0,
+          credit: convert(creditValue(p, taxBehavior), p.currency, currency),
+        }))
+        .filter(p => p.credit > 0);
+
+      return {
+        total: breakdown.reduce((sum, p) => sum + p.credit, 0),
+        currency,
+        breakdown,
+      };
+    },
+
+    // Operator-granted credit for a job; counts like a creditable purchase
+    grantCredit({ customer, email, jobId, amount, currency, reason, actor }) {
+      const id = `manual:${crypto.randomUUID()}`;
+      purchases[id] = {
+        sessionId: null,
+        lineItemId: id,
+        manual: true,
+        customer: customer || null,
+        email: email?.toLowerCase() || null,
+        jobId: jobId || null,
+        productId: null,
+        priceId: null,
+        paymentIntent: null,
+        quantity: 1,
+        amountPaid: amount,
+        amountDiscount: 0,
+        amountRefunded: 0,
+        amountDisputed: 0,
+        currency,
+        source: "admin",
+        reason: reason || null,
+        grantedBy: actor,
+        createdAt: new Date().toISOString(),
+      };
+      store.save();
+      return purchases[id];
+    },
+
+    // Stop everything recorded against a job from counting towards credit
+    revokeCredit({ jobId, reason, actor }) {
+      const rows = Object.values(purchases).filter(p => p.jobId === jobId && !p.creditRevoked);
+      for (const row of rows) {
+        row.creditRevoked = { at: new Date().toISOString(), reason: reason || null, by: actor };
+      }
+      store.save();
+      return rows;
+    },
+
+    // Import every paid session from Stripe, following pagination to the end
+    async backfill({ onSession } = {}) {
+      let sessions = 0;
+      let rows = 0;
+      for await (const session of payments.listCheckoutSessions()) {
+        const recorded = await recordSession(session, { save: false });
+        if (recorded.length > 0) {
+          sessions += 1;
+          rows += recorded.length;
+          onSession?.(session, recorded);
+        }
+      }
+      store.save();
+      return { sessions, rows };
+    },
+  };
+}
@@ -0,0 +1,129 @@
+// lib/logger.js
+// Structured logs: one JSON object per line on stdout, e.g.
+//   {"time":"...","level":"info","msg":"Checkout session created","requestId":"...","sessionId":"cs_..."}
+// LOG_LEVEL (debug, info, warn, error, silent) picks what is written.
+//
+// Every line logged while handling a request carries its requestId - taken from
+// an incoming X-Request-Id (Render and most proxies set one) or made up - without
+// passing it around: requestContext() keeps it in AsyncLocalStorage, and
+// requestId() reads it back, e.g. for the metadata of Stripe objects we create.
+//
+// Customer data never reaches the log provider as-is: email addresses (in any
+// field or message) and promotion codes are replaced by a short SHA-256 hash, so
+// you can still search for them with hashForLog() (lib/redact.js); secrets and tokens are dropped,
+// and errors are reduced to their type, code and message instead of the whole
+// Stripe error object (request headers and all).
+import { AsyncLocalStorage } from "node:async_hooks";
+import crypto from "node:crypto";
+import { hashForLog, scrubEmails as scrub } from "./redact.js";
+
+export const LOG_LEVELS = ["debug", "info", "warn", "error", "silent"];
+const RANK = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Fields hashed like emails wherever they appear
+const HASHED_FIELDS = /^(email|customerEmail|to|promotionCode|promoCode|couponCode)$/i;
+const SECRET_FIELDS = /(authorization|cookie|password|secret|token|apiKey)$/i;
+// An X-Request-Id we'll take from upstream
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{8,128}$/;
+
+const context = new AsyncLocalStorage();
+let minimum = RANK.info;
+let output = line => process.stdout.write(`${line}\n`);
+
+// level from LOG_LEVEL; write(line) replaces stdout (tests)
+export function configureLogger({ level, write } = {}) {
+  if (level) minimum = RANK[level] ?? RANK.info;
+  if (write) output = write;
+}
+
+// The parts of an error worth keeping - not Stripe's raw response or headers.
+// Only our own bugs keep their stack (not Stripe errors, or HttpErrors and
+// other errors that already carry a response status).
+export function serializeError(error) {
+  if (!(error instanceof Error)) return { message: scrub(String(error)) };
+  const expected = (typeof error.type === "string" && error.type.startsWith("Stripe")) || error.status !== undefined;
+  return {
+    type: error.type || error.name,
+    ...(error.code ? { code: error.code } : {}),
+    ...(error.statusCode ? { statusCode: error.statusCode } : {}),
+    message: scrub(error.message),
+    ...(error.param ? { param: error.param } : {}),
+    ...(error.requestId ? { stripeRequestId: error.requestId } : {}),
+    ...(expected ? {} : { stack: scrub(error.stack) }),
+  };
+}
+
+export function redact(value, key = "", depth = 0) {
+  if (value == null) return value;
+  if (value instanceof Error) return serializeError(value);
+  if (SECRET_FIELDS.test(key)) return "[redacted]";
+  if (HASHED_FIELDS.test(key) && typeof value === "string") return hashForLog(value);
+  if (typeof value === "string") return scrub(value);
+  if (typeof value !== "object") return value;
+  if (depth >= 5) return "[truncated]";
+  if (Array.isArray(value)) return value.map(item => redact(item, key, depth + 1));
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redact(v, k, depth + 1)]));
+}
+
+function write(level, msg, fields = {}) {
+  if (RANK[level] < minimum) return;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: scrub(msg),
+    ...context.getStore(),
+    ...redact(fields),
+  };
+  try {
+    output(JSON.stringify(entry));
+  } catch {
+    // Never let logging take a request down
+  }
+}
+
+export const log = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+};
+
+// The current request's ID, or undefined outside a request (webhook retries,
+// timers, scripts)
+export function requestId() {
+  return context.getStore()?.requestId;
+}
+
+// Stripe metadata plus the current request's ID, so objects created by a request
+// (sessions, customers, coupons) lead back to its log lines
+export function withRequestId(metadata = {}) {
+  const id = requestId();
+  return id ? { ...metadata, requestId: id } : metadata;
+}
+
+// First middleware: assigns the request ID (echoed as X-Request-Id) and logs
+// one line per request when the response is done. Paths only - query strings
+// can hold checkout tokens - and recovery link tokens are left out too.
+export function requestContext() {
+  return (req, res, next) => {
+    const supplied = req.get("x-request-id");
+    req.id = supplied && REQUEST_ID_PATTERN.test(supplied) ? supplied : crypto.randomUUID();
+    res.set("X-Request-Id", req.id);
+
+    const started = process.hrtime.bigint();
+    res.on("finish", () => {
+      const fields = {
+        requestId: req.id,
+        method: req.method,
+        path: req.originalUrl.split("?")[0].replace(/(\/checkout\/recover\/)[^/]+/, "$1:token"),
+        status: res.statusCode,
+        durationMs: Number((process.hrtime.bigint() - started) / 1000000n),
+      };
+      // Health checks run every few seconds
+      if (req.path.startsWith("/health")) log.debug("request", fields);
+      else log.info("request", fields);
+    });
+
+    context.run({ requestId: req.id }, next);
+  };
+}
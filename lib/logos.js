@@ -0,0 +1,103 @@
+// lib/logos.js
+// Employer logos for /logo-carousel. Seeded from LOGOS_FILE (config/logos.json)
+// the first time; after that the list lives in the data store and is edited
+// through the admin API, so changes survive restarts without a deploy.
+import fs from "node:fs";
+import { log } from "./logger.js";
+import { openStore } from "./store.js";
+
+const ID = /^[a-z0-9][a-z0-9-]*$/;
+
+function readSeed(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8")).logos || [];
+  } catch (err) {
+    log.warn("Could not read logos", { file, error: err });
+    return [];
+  }
+}
+
+function httpsUrl(value) {
+  try {
+    return new URL(value).protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+// Returns { logo } or { error } for a new logo or a partial update of `current`
+export function validateLogo(input, current = {}) {
+  const logo = { ...current };
+  for (const field of ["name", "image", "url", "order", "active"]) {
+    if (input[field] !== undefined) logo[field] = input[field];
+  }
+  if (!current.id) logo.id = input.id;
+
+  if (typeof logo.id !== "string" || !ID.test(logo.id)) return { error: "id must be lowercase letters, digits and dashes" };
+  if (typeof logo.name !== "string" || !logo.name.trim()) return { error: "name is required" };
+  if (!httpsUrl(logo.image)) return { error: "image must be an https URL" };
+  if (logo.url != null && !httpsUrl(logo.url)) return { error: "url must be an https URL" };
+  if (!Number.isFinite(logo.order ?? 0)) return { error: "order must be a number" };
+  if (logo.active !== undefined && typeof logo.active !== "boolean") return { error: "active must be true or false" };
+
+  return {
+    logo: {
+      id: logo.id,
+      name: logo.name.trim(),
+      image: logo.image,
+      url: logo.url || null,
+      order: logo.order ?? 0,
+      active: logo.active ?? true,
+    },
+  };
+}
+
+export function createLogos({ file = "config/logos.json", store = openStore("logos", { logos: null }) } = {}) {
+  if (!Array.isArray(store.data.logos)) {
+    store.data.logos = readSeed(file)
+      .map(entry => validateLogo(entry))
+      .filter(result => {
+        if (result.error) log.warn("Skipping logo", { file, problem: result.error });
+        return !result.error;
+      })
+      .map(result => result.logo);
+    store.save();
+  }
+  const { logos } = store.data;
+
+  const byOrder = (a, b) => a.order - b.order || a.name.localeCompare(b.name);
+
+  return {
+    list({ includeInactive = false } = {}) {
+      return logos.filter(logo => includeInactive || logo.active).sort(byOrder);
+    },
+
+    create(input) {
+      const result = validateLogo(input);
+      if (result.error) return result;
+      if (logos.some(logo => logo.id === result.logo.id)) return { error: "A logo with that id already exists" };
+      logos.push(result.logo);
+      store.save();
+      return result;
+    },
+
+    // Partial update; returns { logo }, { error } or null if there is no such logo
+    update(id, input) {
+      const index = logos.findIndex(logo => logo.id === id);
+      if (index === -1) return null;
+      const result = validateLogo(input, logos[index]);
+      if (result.error) return result;
+      logos[index] = result.logo;
+      store.save();
+      return result;
+    },
+
+    remove(id) {
+      const index = logos.findIndex(logo => logo.id === id);
+      if (index === -1) return false;
+      logos.splice(index, 1);
+      store.save();
+      return true;
+    },
+  };
+}
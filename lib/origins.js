@@ -0,0 +1,17 @@
+// lib/origins.js
+// Origin allowlist matching shared by CORS and the redirect policy.
+// Entries are exact origins or wildcard patterns like "https://*.golf-jobs.com".
+
+export function parseOriginList(raw) {
+  return (raw || "")
+    .split(",")
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+export function matchesOrigin(patterns, origin) {
+  return patterns.some(a =>
+    a === origin ||
+    (a.includes("*") && new RegExp("^" + a.replace(/\./g, "\\.").replace(/\*/g, ".*") + "$").test(origin))
+  );
+}
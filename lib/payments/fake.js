@@ -0,0 +1,543 @@
+// lib/payments/fake.js
+// In-memory payment provider with the same methods as lib/payments/stripe.js,
+// so the app (createApp in app.js) can run without a Stripe account - the
+// integration tests use it. Load it with products and past purchases, make the
+// next call(s) of a method fail, and "pay" the checkout sessions the app creates:
+//
+//   const payments = createFakeProvider();
+//   payments.addProduct({ id: "prod_featured", name: "Featured", prices: [{ id: "price_featured", unit_amount: 2900 }] });
+//   payments.addPurchase({ email: "a@example.com", jobId: "job_1", items: [{ price: "price_featured" }] });
+//   payments.fail("createCheckoutSession", { type: "StripeAPIError", message: "Stripe is down" });
+//   payments.completeSession(session.id);
+//
+// Tax is charged like Stripe does it: automatic_tax at taxPercentage (UK VAT by
+// default) by each price's tax_behavior, or the tax rates on each line item.
+import crypto from "node:crypto";
+
+// Errors look like the Stripe SDK's so callers handle both the same way
+export function providerError({ type = "StripeAPIError", code, statusCode, message = "Fake provider error", param } = {}) {
+  const error = new Error(message);
+  error.type = type;
+  error.code = code;
+  error.param = param;
+  error.statusCode = statusCode ?? (type === "StripeInvalidRequestError" ? 400 : 500);
+  error.raw = { message };
+  return error;
+}
+
+function notFound(kind, id) {
+  return providerError({
+    type: "StripeInvalidRequestError",
+    code: "resource_missing",
+    statusCode: 404,
+    message: `No such ${kind}: '${id}'`,
+  });
+}
+
+function invalid(message, param) {
+  return providerError({ type: "StripeInvalidRequestError", message, param });
+}
+
+function amountIn(price, currency) {
+  if (price.currency === currency) return price.unit_amount;
+  return price.currency_options?.[currency]?.unit_amount ?? null;
+}
+
+// Stripe's v1 scheme: t=<timestamp>,v1=<hex HMAC-SHA256 of "t.body">
+function webhookSignature(body, secret, timestamp) {
+  const v1 = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${v1}`;
+}
+
+export function createFakeProvider({ livemode = false, taxPercentage = 20 } = {}) {
+  const products = new Map();
+  const prices = new Map();
+  const customers = new Map();
+  const sessions = new Map();
+  const lineItems = new Map(); // session id -> items
+  const charges = new Map(); // payment intent id -> charges
+  const coupons = new Map();
+  const promotionCodes = new Map();
+  const taxRates = new Map();
+  const invoices = new Map();
+  const idempotent = new Map();
+  const failures = new Map(); // method -> [{ error, times }]
+  const calls = [];
+
+  let counter = 0;
+  const nextId = prefix => `${prefix}_fake${(++counter).toString(36).padStart(6, "0")}`;
+  const now = () => Math.floor(Date.now() / 1000);
+  const clone = object => structuredClone(object);
+
+  function find(map, kind, id) {
+    const object = map.get(id);
+    if (!object) throw notFound(kind, id);
+    return object;
+  }
+
+  // Every provider method goes through here: record the call, then fail if asked to
+  function method(name, fn) {
+    return async (...args) => {
+      calls.push({ method: name, args: clone(args) });
+      const queue = failures.get(name) || [];
+      const next = queue[0];
+      if (next) {
+        if (--next.times <= 0) queue.shift();
+        throw next.error instanceof Error ? next.error : providerError(next.error);
+      }
+      return fn(...args);
+    };
+  }
+
+  // Same for the methods that return an async iterable (Stripe's auto-paginating lists)
+  function listing(name, fn) {
+    const list = method(name, fn);
+    return (...args) => ({
+      async *[Symbol.asyncIterator]() {
+        yield* await list(...args);
+      },
+    });
+  }
+
+  function withProduct(item) {
+    const price = { ...item.price, product: clone(products.get(item.price.product)) };
+    return { ...item, price };
+  }
+
+  // Line items and totals for a new session, with any promotion code applied
+  function priceSession(params, currency) {
+    const items = (params.line_items || []).map(line => {
+      const price = prices.get(line.price);
+      if (!price || !price.active) throw invalid(`No such price: '${line.price}'`, "line_items[0][price]");
+      const unit = amountIn(price, currency);
+      if (unit == null) throw invalid(`The price ${price.id} is not available in ${currency}`, "currency");
+      if ((params.mode === "subscription") !== !!price.recurring) {
+        throw invalid(`The price ${price.id} cannot be used in ${params.mode} mode`, "mode");
+      }
+      const quantity = line.quantity || 1;
+      return {
+        id: nextId("li"),
+        object: "item",
+        description: products.get(price.product)?.name || price.id,
+        price: clone(price),
+        quantity,
+        currency,
+        amount_subtotal: unit * quantity,
+        amount_discount: 0,
+        amount_total: unit * quantity,
+      };
+    });
+
+    for (const discount of params.discounts || []) {
+      const promo = find(promotionCodes, "promotion code", discount.promotion_code);
+      if (!promo.active || (promo.max_redemptions && promo.times_redeemed >= promo.max_redemptions)) {
+        throw invalid(`This promotion code cannot be redeemed: '${promo.code}'`, "discounts");
+      }
+      const coupon = find(coupons, "coupon", promo.coupon.id);
+      if (coupon.currency && coupon.currency !== currency) {
+        throw invalid(`Coupon ${coupon.id} is in ${coupon.currency}, not ${currency}`, "discounts");
+      }
+      let remaining = coupon.amount_off;
+      for (const item of items) {
+        const eligible = !coupon.applies_to || coupon.applies_to.products.includes(item.price.product);
+        if (!eligible || remaining <= 0) continue;
+        const off = Math.min(remaining, item.amount_total);
+        item.amount_discount += off;
+        item.amount_total -= off;
+        remaining -= off;
+      }
+    }
+
+    // Tax on what is left after discounts; exclusive tax is added on top
+    items.forEach((item, i) => {
+      const rates = params.automatic_tax?.enabled
+        ? [{ percentage: taxPercentage, inclusive: item.price.tax_behavior === "inclusive" }]
+        : (params.line_items[i].tax_rates || []).map(id => find(taxRates, "tax rate", id));
+      const taxable = item.amount_total;
+      item.amount_tax = 0;
+      for (const rate of rates) {
+        const tax = rate.inclusive
+          ? Math.round(taxable - taxable / (1 + rate.percentage / 100))
+          : Math.round((taxable * rate.percentage) / 100);
+        item.amount_tax += tax;
+        if (!rate.inclusive) item.amount_total += tax;
+      }
+    });
+    return items;
+  }
+
+  function createSession(params) {
+    if (!params.success_url) throw invalid("Missing required param: success_url.", "success_url");
+    if (!["payment", "subscription"].includes(params.mode)) throw invalid("Invalid mode", "mode");
+    const currency = params.currency || prices.get(params.line_items?.[0]?.price)?.currency;
+    if (!currency) throw invalid("Missing required param: line_items.", "line_items");
+    if (params.customer) find(customers, "customer", params.customer);
+
+    const items = priceSession(params, currency);
+    const id = `cs_${livemode ? "live" : "test"}_fake${(++counter).toString(36)}`;
+    const subtotal = items.reduce((sum, item) => sum + item.amount_subtotal, 0);
+    const total = items.reduce((sum, item) => sum + item.amount_total, 0);
+    const tax = items.reduce((sum, item) => sum + item.amount_tax, 0);
+    const session = {
+      id,
+      object: "checkout.session",
+      livemode,
+      url: `https://checkout.fake.test/pay/${id}`,
+      status: "open",
+      payment_status: "unpaid",
+      mode: params.mode,
+      currency,
+      customer: params.customer || null,
+      customer_email: params.customer_email || null,
+      customer_details: null,
+      metadata: Object.fromEntries(Object.entries(params.metadata || {}).map(([k, v]) => [k, String(v)])),
+      discounts: params.discounts || [],
+      success_url: params.success_url,
+      cancel_url: params.cancel_url || null,
+      amount_subtotal: subtotal,
+      amount_total: total,
+      total_details: {
+        amount_discount: items.reduce((sum, item) => sum + item.amount_discount, 0),
+        amount_tax: tax,
+        amount_shipping: 0,
+      },
+      automatic_tax: { enabled: !!params.automatic_tax?.enabled, status: params.automatic_tax?.enabled ? "complete" : null },
+      tax_id_collection: params.tax_id_collection || null,
+      invoice_creation: params.invoice_creation || null,
+      customer_update: params.customer_update || null,
+      payment_intent: null,
+      subscription: null,
+      invoice: null,
+      created: now(),
+    };
+    sessions.set(id, session);
+    lineItems.set(id, items);
+    return session;
+  }
+
+  const provider = {
+    name: "fake",
+    calls,
+
+    // ---- Customers ----
+    listCustomersByEmail: method("listCustomersByEmail", async (email, { limit = 100 } = {}) =>
+      [...customers.values()].filter(c => c.email === email).reverse().slice(0, limit).map(clone)
+    ),
+    createCustomer: method("createCustomer", async (params = {}) => {
+      const customer = { id: nextId("cus"), object: "customer", email: params.email || null, metadata: params.metadata || {}, created: now() };
+      customers.set(customer.id, customer);
+      return clone(customer);
+    }),
+    retrieveCustomer: method("retrieveCustomer", async id => clone(find(customers, "customer", id))),
+
+    // ---- Products and prices ----
+    retrieveProduct: method("retrieveProduct", async id => clone(find(products, "product", id))),
+    retrievePrice: method("retrievePrice", async id => clone(find(prices, "price", id))),
+    listProductPrices: method("listProductPrices", async productId =>
+      [...prices.values()].filter(p => p.product === productId && p.active).map(clone)
+    ),
+
+    // ---- Checkout sessions ----
+    // Same idempotency key + same params = same session; different params = error, as in Stripe
+    createCheckoutSession: method("createCheckoutSession", async (params, { idempotencyKey } = {}) => {
+      if (idempotencyKey) {
+        const previous = idempotent.get(idempotencyKey);
+        if (previous) {
+          if (previous.params !== JSON.stringify(params)) {
+            throw providerError({
+              type: "StripeIdempotencyError",
+              statusCode: 400,
+              message: "Keys for idempotent requests can only be used with the same parameters they were first used with.",
+            });
+          }
+          return clone(sessions.get(previous.sessionId));
+        }
+      }
+      const session = createSession(params);
+      if (idempotencyKey) idempotent.set(idempotencyKey, { params: JSON.stringify(params), sessionId: session.id });
+      return clone(session);
+    }),
+    retrieveCheckoutSession: method("retrieveCheckoutSession", async (id, { lineItems: expand = false } = {}) => {
+      const session = clone(find(sessions, "checkout.session", id));
+      if (expand) session.line_items = { object: "list", data: lineItems.get(id).map(withProduct).map(clone) };
+      return session;
+    }),
+    listLineItems: method("listLineItems", async sessionId => {
+      find(sessions, "checkout.session", sessionId);
+      return lineItems.get(sessionId).map(clone);
+    }),
+    findSessionForPayment: method("findSessionForPayment", async paymentIntentId => {
+      const session = [...sessions.values()].find(s => s.payment_intent === paymentIntentId);
+      return session ? clone(session) : null;
+    }),
+    listCheckoutSessions: listing("listCheckoutSessions", async () => [...sessions.values()].reverse().map(clone)),
+
+    // ---- Charges ----
+    listCharges: method("listCharges", async paymentIntentId => (charges.get(paymentIntentId) || []).map(clone)),
+
+    // ---- Tax rates and invoices ----
+    retrieveTaxRate: method("retrieveTaxRate", async id => clone(find(taxRates, "tax rate", id))),
+    retrieveInvoice: method("retrieveInvoice", async id => clone(find(invoices, "invoice", id))),
+
+    // ---- Coupons and promotion codes ----
+    createCoupon: method("createCoupon", async params => {
+      if (!Number.isInteger(params.amount_off) || params.amount_off <= 0) throw invalid("Invalid amount_off", "amount_off");
+      const coupon = {
+        id: nextId("coupon"),
+        object: "coupon",
+        amount_off: params.amount_off,
+        currency: params.currency || null,
+        duration: params.duration || "once",
+        name: params.name || null,
+        redeem_by: params.redeem_by || null,
+        applies_to: params.applies_to || null,
+        metadata: Object.fromEntries(Object.entries(params.metadata || {}).map(([k, v]) => [k, String(v)])),
+        times_redeemed: 0,
+        valid: true,
+        created: now(),
+      };
+      coupons.set(coupon.id, coupon);
+      return clone(coupon);
+    }),
+    deleteCoupon: method("deleteCoupon", async id => {
+      find(coupons, "coupon", id);
+      coupons.delete(id);
+      return { id, object: "coupon", deleted: true };
+    }),
+    listCoupons: listing("listCoupons", async () => [...coupons.values()].reverse().map(clone)),
+    createPromotionCode: method("createPromotionCode", async params => {
+      const coupon = find(coupons, "coupon", params.coupon);
+      const promo = {
+        id: nextId("promo"),
+        object: "promotion_code",
+        code: `CREDIT${(++counter).toString(36).toUpperCase()}`,
+        coupon: clone(coupon),
+        active: true,
+        customer: params.customer || null,
+        expires_at: params.expires_at || null,
+        max_redemptions: params.max_redemptions || null,
+        restrictions: params.restrictions || {},
+        times_redeemed: 0,
+        created: now(),
+      };
+      promotionCodes.set(promo.id, promo);
+      return clone(promo);
+    }),
+    retrievePromotionCode: method("retrievePromotionCode", async id => clone(find(promotionCodes, "promotion code", id))),
+    updatePromotionCode: method("updatePromotionCode", async (id, params) => {
+      const promo = find(promotionCodes, "promotion code", id);
+      if (params.active !== undefined) promo.active = params.active;
+      return clone(promo);
+    }),
+
+    // ---- Billing portal and webhooks ----
+    createPortalSession: method("createPortalSession", async params => {
+      find(customers, "customer", params.customer);
+      const id = nextId("bps");
+      return { id, object: "billing_portal.session", customer: params.customer, return_url: params.return_url, url: `https://billing.fake.test/session/${id}` };
+    }),
+    constructWebhookEvent(body, signature, secret) {
+      const payload = Buffer.isBuffer(body) ? body.toString("utf8") : String(body);
+      const timestamp = /t=(\d+)/.exec(signature || "")?.[1];
+      const expected = timestamp && webhookSignature(payload, secret, timestamp);
+      if (!expected || expected !== signature) {
+        throw new Error("No signatures found matching the expected signature for payload");
+      }
+      return JSON.parse(payload);
+    },
+
+    // ---- Test controls (not part of the provider interface) ----
+
+    // { id, name, description?, metadata?, active?, prices: [{ id, unit_amount, currency?,
+    // currency_options?: { usd: 3900 }, recurring?: { interval }, active? }] }
+    addProduct({ id, name, description = null, images = [], metadata = {}, active = true, prices: productPrices = [] }) {
+      products.set(id, {
+        id,
+        object: "product",
+        livemode,
+        active,
+        name,
+        description,
+        images,
+        metadata,
+        marketing_features: [],
+        default_price: productPrices[0]?.id || null,
+      });
+      for (const price of productPrices) provider.addPrice({ ...price, product: id });
+      return clone(products.get(id));
+    },
+
+    addPrice({ id, product, unit_amount, currency = "gbp", currency_options = {}, recurring = null, active = true, nickname = null, lookup_key = null, tax_behavior = "unspecified" }) {
+      prices.set(id, {
+        id,
+        object: "price",
+        livemode,
+        product,
+        active,
+        unit_amount,
+        currency,
+        currency_options: Object.fromEntries(
+          Object.entries(currency_options).map(([code, amount]) => [code, typeof amount === "number" ? { unit_amount: amount } : amount])
+        ),
+        recurring,
+        type: recurring ? "recurring" : "one_time",
+        nickname,
+        lookup_key,
+        tax_behavior,
+        metadata: {},
+      });
+      return clone(prices.get(id));
+    },
+
+    // { id, percentage, inclusive?, display_name?, active? } for fixed-rate line items
+    addTaxRate({ id, percentage, inclusive = false, display_name = "VAT", country = "GB", active = true }) {
+      taxRates.set(id, { id, object: "tax_rate", livemode, active, percentage, inclusive, display_name, country });
+      return clone(taxRates.get(id));
+    },
+
+    // Archive or change a product or price after the fact
+    updateProduct(id, fields) {
+      Object.assign(find(products, "product", id), fields);
+    },
+    updatePrice(id, fields) {
+      Object.assign(find(prices, "price", id), fields);
+    },
+
+    addCustomer({ email, metadata = {} }) {
+      const customer = { id: nextId("cus"), object: "customer", email, metadata, created: now() };
+      customers.set(customer.id, customer);
+      return clone(customer);
+    },
+
+    // Pay an open session (what the customer does on Stripe's page). Redeems its
+    // promotion code and creates the payment intent and charge behind it, and the
+    // invoice if the session asked for one. taxId is a VAT number they entered.
+    completeSession(id, { email, taxId } = {}) {
+      const session = find(sessions, "checkout.session", id);
+      if (session.status !== "open") throw invalid(`Session ${id} is ${session.status}`);
+      session.status = "complete";
+      session.payment_status = session.amount_total > 0 ? "paid" : "no_payment_required";
+      const customerEmail = email || session.customer_email || (session.customer && customers.get(session.customer)?.email) || null;
+      session.customer_details = {
+        email: customerEmail,
+        tax_exempt: "none",
+        tax_ids: taxId && session.tax_id_collection?.enabled ? [{ type: "gb_vat", value: taxId }] : [],
+      };
+      for (const discount of session.discounts) {
+        const promo = promotionCodes.get(discount.promotion_code);
+        if (!promo) continue;
+        promo.times_redeemed += 1;
+        const coupon = coupons.get(promo.coupon.id);
+        if (coupon) coupon.times_redeemed += 1;
+      }
+      if (session.mode === "subscription") {
+        session.subscription = nextId("sub");
+      } else if (session.amount_total > 0) {
+        session.payment_intent = nextId("pi");
+        charges.set(session.payment_intent, [
+          {
+            id: nextId("ch"),
+            object: "charge",
+            amount: session.amount_total,
+            amount_refunded: 0,
+            currency: session.currency,
+            payment_intent: session.payment_intent,
+            receipt_url: `https://pay.fake.test/receipts/${session.payment_intent}`,
+            refunded: false,
+            disputed: false,
+            dispute: null,
+          },
+        ]);
+      }
+      if (session.mode === "payment" && session.invoice_creation?.enabled) {
+        const invoice = {
+          id: nextId("in"),
+          object: "invoice",
+          livemode,
+          number: `FAKE-${String(invoices.size + 1).padStart(4, "0")}`,
+          status: "paid",
+          currency: session.currency,
+          customer: session.customer,
+          customer_email: customerEmail,
+          customer_tax_ids: clone(session.customer_details.tax_ids),
+          subtotal: session.amount_subtotal,
+          tax: session.total_details.amount_tax,
+          total: session.amount_total,
+          footer: session.invoice_creation.invoice_data?.footer || null,
+          metadata: session.invoice_creation.invoice_data?.metadata || {},
+          hosted_invoice_url: `https://invoice.fake.test/i/${id}`,
+          invoice_pdf: `https://invoice.fake.test/i/${id}/pdf`,
+          created: now(),
+        };
+        invoices.set(invoice.id, invoice);
+        session.invoice = invoice.id;
+      }
+      return clone(session);
+    },
+
+    expireSession(id) {
+      const session = find(sessions, "checkout.session", id);
+      session.status = "expired";
+      return clone(session);
+    },
+
+    // A finished purchase from before the test started:
+    // { email, jobId?, items: [{ price, quantity? }], currency?, customer?, source?, createdAt? }
+    addPurchase({ email, jobId = null, items, currency, customer = null, source = "golf-jobs-upgrade", createdAt = null }) {
+      const session = createSession({
+        mode: "payment",
+        line_items: items.map(item => ({ price: item.price, quantity: item.quantity || 1 })),
+        currency,
+        customer,
+        customer_email: customer ? undefined : email,
+        success_url: "https://example.test/success",
+        metadata: { source, jobId: jobId || "" },
+      });
+      if (createdAt) sessions.get(session.id).created = Math.floor(Date.parse(createdAt) / 1000);
+      return provider.completeSession(session.id, { email });
+    },
+
+    // Refund part or all of a payment; returns the charge
+    refund(paymentIntentId, amount) {
+      const [charge] = charges.get(paymentIntentId) || [];
+      if (!charge) throw notFound("payment_intent", paymentIntentId);
+      charge.amount_refunded = Math.min(charge.amount, charge.amount_refunded + (amount ?? charge.amount));
+      charge.refunded = charge.amount_refunded === charge.amount;
+      return clone(charge);
+    },
+
+    dispute(paymentIntentId, { amount, status = "needs_response" } = {}) {
+      const [charge] = charges.get(paymentIntentId) || [];
+      if (!charge) throw notFound("payment_intent", paymentIntentId);
+      charge.disputed = true;
+      charge.dispute = { id: nextId("dp"), object: "dispute", amount: amount ?? charge.amount, status, payment_intent: paymentIntentId };
+      return clone(charge);
+    },
+
+    // Make the next `times` calls of a provider method throw. `error` is an Error or
+    // providerError() fields, e.g. { type: "StripeCardError", message: "Card declined" }.
+    fail(name, error = {}, { times = 1 } = {}) {
+      if (typeof provider[name] !== "function") throw new Error(`Unknown provider method ${name}`);
+      failures.set(name, [...(failures.get(name) || []), { error, times }]);
+    },
+
+    // A webhook delivery for `type` with the signature the app expects: { body, signature }
+    webhook(type, object, secret) {
+      const body = JSON.stringify({
+        id: nextId("evt"),
+        object: "event",
+        type,
+        created: now(),
+        livemode,
+        data: { object: clone(object) },
+      });
+      return { body, signature: webhookSignature(body, secret, now()) };
+    },
+
+    coupons: () => [...coupons.values()].map(clone),
+    promotionCodes: () => [...promotionCodes.values()].map(clone),
+    sessions: () => [...sessions.values()].map(clone),
+  };
+
+  return provider;
+}
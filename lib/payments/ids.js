@@ -0,0 +1,6 @@
+// lib/payments/ids.js
+// Stripe-shaped objects point at each other by ID, or with the whole object
+// when the field was expanded. idOf() gives the ID either way (null if unset).
+export function idOf(ref) {
+  return typeof ref === "string" ? ref : ref?.id || null;
+}
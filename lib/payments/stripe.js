@@ -0,0 +1,78 @@
+// lib/payments/stripe.js
+// The payment provider: everything the app asks of the payment service goes
+// through these methods, so the routes and lib/ modules never hold a Stripe
+// client themselves. lib/payments/fake.js implements the same methods in memory
+// for tests and offline development.
+//
+// Objects (products, prices, sessions, coupons...) are Stripe-shaped, and
+// failures are thrown as errors with Stripe's fields (type, code, statusCode)
+// so callers can tell "not found" from "Stripe is down".
+import Stripe from "stripe";
+
+export const STRIPE_API_VERSION = "2024-04-10";
+
+export function createStripeProvider({ secretKey, client = new Stripe(secretKey, { apiVersion: STRIPE_API_VERSION }) }) {
+  const stripe = client;
+
+  return {
+    name: "stripe",
+
+    // ---- Customers ----
+    async listCustomersByEmail(email, { limit = 100 } = {}) {
+      return stripe.customers.list({ email, limit: Math.min(limit, 100) }).autoPagingToArray({ limit });
+    },
+    createCustomer: params => stripe.customers.create(params),
+    retrieveCustomer: id => stripe.customers.retrieve(id),
+
+    // ---- Products and prices (prices always with their currency_options) ----
+    retrieveProduct: id => stripe.products.retrieve(id),
+    retrievePrice: id => stripe.prices.retrieve(id, { expand: ["currency_options"] }),
+    listProductPrices(productId) {
+      return stripe.prices
+        .list({ product: productId, active: true, limit: 100, expand: ["data.currency_options"] })
+        .autoPagingToArray({ limit: 1000 });
+    },
+
+    // ---- Checkout sessions and their line items ----
+    createCheckoutSession(params, { idempotencyKey } = {}) {
+      return stripe.checkout.sessions.create(params, idempotencyKey ? { idempotencyKey } : undefined);
+    },
+    // lineItems: true includes line_items with each price's product
+    retrieveCheckoutSession(id, { lineItems = false } = {}) {
+      return stripe.checkout.sessions.retrieve(id, lineItems ? { expand: ["line_items.data.price.product"] } : undefined);
+    },
+    listLineItems(sessionId) {
+      return stripe.checkout.sessions.listLineItems(sessionId, { limit: 100 }).autoPagingToArray({ limit: 10000 });
+    },
+    async findSessionForPayment(paymentIntentId) {
+      const sessions = await stripe.checkout.sessions.list({ payment_intent: paymentIntentId, limit: 1 });
+      return sessions.data[0] || null;
+    },
+    // Async iterable over every session, newest first
+    listCheckoutSessions: () => stripe.checkout.sessions.list({ limit: 100 }),
+
+    // ---- Charges (refunds and disputes against a payment) ----
+    listCharges(paymentIntentId) {
+      return stripe.charges
+        .list({ payment_intent: paymentIntentId, limit: 100, expand: ["data.dispute"] })
+        .autoPagingToArray({ limit: 1000 });
+    },
+
+    // ---- Tax rates and invoices ----
+    retrieveTaxRate: id => stripe.taxRates.retrieve(id),
+    retrieveInvoice: id => stripe.invoices.retrieve(id),
+
+    // ---- Coupons and promotion codes ----
+    createCoupon: params => stripe.coupons.create(params),
+    deleteCoupon: id => stripe.coupons.del(id),
+    // Async iterable over every coupon
+    listCoupons: () => stripe.coupons.list({ limit: 100 }),
+    createPromotionCode: params => stripe.promotionCodes.create(params),
+    retrievePromotionCode: id => stripe.promotionCodes.retrieve(id),
+    updatePromotionCode: (id, params) => stripe.promotionCodes.update(id, params),
+
+    // ---- Billing portal and webhooks ----
+    createPortalSession: params => stripe.billingPortal.sessions.create(params),
+    constructWebhookEvent: (body, signature, secret) => stripe.webhooks.constructEvent(body, signature, secret),
+  };
+}
@@ -0,0 +1,192 @@
+// lib/pricing-widget.js
+// The /pricing-widget page: the PRODUCT_IDS upgrades plus the credit tiers of
+// the upgrade ladder (the bundle), priced from the catalogue. With a signed
+// checkout token it also shows the visitor's credit and what each tier would
+// cost them; the buttons then start the same checkouts the main site uses
+// (GET /checkout for plain upgrades, POST /checkout/upgrade for credit tiers).
+import { amountInCurrency, formatMoney } from "./currency.js";
+import { html, raw } from "./embed.js";
+import { creditCap } from "./tiers.js";
+
+function pickPrice(prices, currency) {
+  const price = prices.find(p => amountInCurrency(p, currency) != null) || prices[0];
+  if (!price) return null;
+  const chosen = amountInCurrency(price, currency) != null ? currency : price.currency;
+  return { price, amount: amountInCurrency(price, chosen), currency: chosen };
+}
+
+export function createPricingOffers({
+  catalogue,
+  ladder,
+  ledger,
+  entitlements,
+  subscriptions,
+  convert,
+  taxBehaviorOf = () => "inclusive",
+  productIds,
+  allowUnsigned = false,
+}) {
+  // Credit is looked up by email only (no Stripe customer search on a page
+  // view), so it is an estimate - /checkout/upgrade works out the real figure
+  function creditTowards(tier, { email, jobId }, price, amount, currency) {
+    if (tier.creditProductIds.length === 0) return 0;
+    const { total } = ledger.creditFor({
+      email,
+      jobId: tier.creditScope === "job" ? jobId : undefined,
+      productIds: tier.creditProductIds,
+      currency,
+      taxBehavior: taxBehaviorOf(price),
+      convert,
+    });
+    return Math.min(total, amount, creditCap(tier, currency) ?? Infinity);
+  }
+
+  // Returns { currency, plan, offers: [{ id, name, description, image, amount, currency,
+  // interval, credit, balance, owned, action }] }. action.kind is "upgrade" (credit
+  // checkout for a tier), "checkout" (cart checkout for a price) or "sign-in".
+  return async function offers({ identity, currency }) {
+    const [{ products, prices }, upgrades] = await Promise.all([catalogue.get(), ladder.get()]);
+    const owned = identity?.jobId ? entitlements.forJob(identity.jobId).upgrades : [];
+    const plan = identity ? subscriptions.activeFor({ email: identity.email }) : null;
+
+    const entries = [];
+    for (const productId of productIds) {
+      const product = products[productId];
+      if (!product || product.error) continue;
+      const picked = pickPrice(product.prices, currency);
+      if (picked) entries.push({ product, ...picked, tier: upgrades.tierForProduct(productId) });
+    }
+    // Credit tiers sold by price (the bundle) aren't necessarily in PRODUCT_IDS
+    for (const tier of upgrades.tiers) {
+      if (tier.creditFrom.length === 0 || entries.some(entry => entry.tier?.id === tier.id)) continue;
+      const price = prices[tier.priceId];
+      const picked = price && pickPrice([price], currency);
+      if (picked) entries.push({ product: products[tier.productId] || { name: tier.name }, ...picked, tier });
+    }
+
+    return {
+      currency,
+      plan: plan ? { status: plan.status, currentPeriodEnd: plan.currentPeriodEnd } : null,
+      offers: entries.map(({ product, price, amount, currency: chosen, tier }) => {
+        const credit = identity && tier ? creditTowards(tier, identity, price, amount, chosen) : 0;
+        const creditCheckout = identity && tier && tier.creditFrom.length > 0 && (tier.creditScope !== "job" || identity.jobId);
+
+        let action;
+        if (tier && owned.includes(tier.id)) action = null;
+        else if (creditCheckout) action = { kind: "upgrade", tier: tier.id };
+        else if (identity || allowUnsigned) action = { kind: "checkout", price: price.id };
+        else action = { kind: "sign-in" };
+
+        return {
+          id: tier?.id || product.id,
+          name: tier?.name || product.name,
+          description: product.description || null,
+          image: product.images?.[0] || null,
+          amount,
+          currency: chosen,
+          interval: price.recurring?.interval || null,
+          credit,
+          balance: amount - credit,
+          owned: !!(tier && owned.includes(tier.id)),
+          action,
+        };
+      }),
+    };
+  };
+}
+
+function offerCard(offer, { checkoutHref }) {
+  const price = formatMoney(offer.amount, offer.currency) + (offer.interval ? ` / ${offer.interval}` : "");
+  const credit = offer.credit > 0
+    ? raw(html`<p class="credit">Your credit: ${formatMoney(offer.credit, offer.currency)} &middot; you pay <strong>${formatMoney(offer.balance, offer.currency)}</strong></p>`)
+    : "";
+
+  let button;
+  if (offer.owned) {
+    button = raw(html`<span class="owned">Active on this job</span>`);
+  } else if (offer.action.kind === "upgrade") {
+    button = raw(html`<button type="button" data-upgrade="${offer.action.tier}">${offer.credit > 0 ? "Upgrade with credit" : "Upgrade"}</button>`);
+  } else if (offer.action.kind === "checkout") {
+    button = raw(html`<a class="button" href="${checkoutHref(offer.action.price, offer.currency)}" data-checkout>Choose</a>`);
+  } else {
+    button = raw(html`<button type="button" data-sign-in="${offer.id}">Sign in to upgrade</button>`);
+  }
+
+  return raw(html`
+    <li class="offer">
+      ${offer.image ? raw(html`<img src="${offer.image}" alt="" loading="lazy" />`) : ""}
+      <h2>${offer.name}</h2>
+      ${offer.description ? raw(html`<p class="description">${offer.description}</p>`) : ""}
+      <p class="price">${price}</p>
+      ${credit}
+      ${button}
+    </li>`);
+}
+
+// view: { offers, plan } from createPricingOffers; options: { theme, token, profile,
+// embedded, notice, scriptUrl }
+export function renderPricingWidget(view, { theme, token = null, profile = null, embedded = false, notice = null, scriptUrl }) {
+  const checkoutHref = (priceId, currency) => {
+    const params = new URLSearchParams({ pid: priceId, currency });
+    if (token) params.set("token", token);
+    if (profile) params.set("return", profile);
+    return `/checkout?${params}`;
+  };
+
+  // Theme values are validated by parseTheme (hex colours) before they get here
+  const css = `
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif;
+      background: ${theme.background};
+      color: ${theme.text};
+      padding: 15px;
+    }
+    h1 { font-size: 18px; margin-bottom: 12px; color: ${theme.accent}; }
+    .notice { font-size: 13px; margin-bottom: 12px; padding: 8px 10px; border-radius: 6px; background: rgba(0, 0, 0, 0.05); }
+    .offers { list-style: none; display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 12px; }
+    .offer { display: flex; flex-direction: column; gap: 8px; padding: 16px; border: 1px solid rgba(0, 0, 0, 0.1); border-radius: 8px; }
+    .offer img { max-height: 48px; max-width: 100%; object-fit: contain; align-self: flex-start; filter: ${theme.greyscale ? "grayscale(100%)" : "none"}; }
+    .offer h2 { font-size: 15px; color: ${theme.accent}; }
+    .description { font-size: 13px; }
+    .price { font-size: 20px; font-weight: 600; color: ${theme.accent}; }
+    .credit { font-size: 13px; }
+    .offer button, .offer .button {
+      margin-top: auto;
+      padding: 10px 14px;
+      border: 0;
+      border-radius: 6px;
+      background: ${theme.accent};
+      color: ${theme.background};
+      font: inherit;
+      font-weight: 600;
+      text-align: center;
+      text-decoration: none;
+      cursor: pointer;
+    }
+    .offer button[disabled] { opacity: 0.6; cursor: wait; }
+    .owned { margin-top: auto; font-size: 13px; font-weight: 600; }
+    .error { color: #b91c1c; font-size: 13px; }
+  `;
+
+  const plan = view.plan ? raw(html`<p class="notice">Your plan includes upgrades - choosing one adds it to this job at no charge.</p>`) : "";
+
+  return html`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${theme.title || "Upgrades"}</title>
+  <style>${raw(css)}</style>
+</head>
+<body data-token="${token || ""}" data-return="${profile || ""}" data-embedded="${embedded ? "true" : "false"}">
+  ${theme.title ? raw(html`<h1>${theme.title}</h1>`) : ""}
+  ${notice ? raw(html`<p class="notice">${notice}</p>`) : ""}
+  ${plan}
+  <ul class="offers">${view.offers.map(offer => offerCard(offer, { checkoutHref }))}</ul>
+  <p class="error" role="alert" hidden></p>
+  <script src="${scriptUrl}"></script>
+</body>
+</html>
+`;
+}
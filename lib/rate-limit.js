@@ -0,0 +1,153 @@
+// lib/rate-limit.js
+// Fixed-window rate limits and short-lived locks for the checkout routes.
+// Counters live in a store with a tiny interface so several instances can
+// share one backend:
+//
+//   increment(key, windowMs) -> { count, resetAt }
+//   acquireLock(key, ttlMs)   -> token or null if someone else holds it
+//   releaseLock(key, token)
+//   close()                   -> optional, drops the backend connection
+//
+// createMemoryStore() is the default (single instance only); createRedisStore()
+// wraps a connected node-redis v4 client.
+import crypto from "node:crypto";
+import { log } from "./logger.js";
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+export function createMemoryStore() {
+  const counters = new Map(); // key -> { count, resetAt }
+  const locks = new Map(); // key -> { token, expiresAt }
+
+  // Drop finished windows and stale locks so memory doesn't grow with every IP
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+    for (const [key, lock] of locks) {
+      if (lock.expiresAt <= now) locks.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS).unref();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count += 1;
+      return { count: counter.count, resetAt: counter.resetAt };
+    },
+
+    async acquireLock(key, ttlMs) {
+      const now = Date.now();
+      const held = locks.get(key);
+      if (held && held.expiresAt > now) return null;
+      const token = crypto.randomUUID();
+      locks.set(key, { token, expiresAt: now + ttlMs });
+      return token;
+    },
+
+    async releaseLock(key, token) {
+      if (locks.get(key)?.token === token) locks.delete(key);
+    },
+  };
+}
+
+// Only delete the lock if it is still ours (it may have expired and been re-taken)
+const RELEASE_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0`;
+
+export function createRedisStore(client, { prefix = "upgrade-server:" } = {}) {
+  return {
+    async increment(key, windowMs) {
+      const name = `${prefix}rl:${key}`;
+      const [count, ttl] = await client.multi().incr(name).pTTL(name).exec();
+      if (ttl < 0) {
+        await client.pExpire(name, windowMs);
+        return { count, resetAt: Date.now() + windowMs };
+      }
+      return { count, resetAt: Date.now() + ttl };
+    },
+
+    async acquireLock(key, ttlMs) {
+      const token = crypto.randomUUID();
+      const ok = await client.set(`${prefix}lock:${key}`, token, { NX: true, PX: ttlMs });
+      return ok === "OK" ? token : null;
+    },
+
+    async releaseLock(key, token) {
+      await client.eval(RELEASE_SCRIPT, { keys: [`${prefix}lock:${key}`], arguments: [token] });
+    },
+
+    // Stops reconnecting too, so the process can exit
+    async close() {
+      if (client.isOpen) await client.disconnect();
+    },
+  };
+}
+
+function retryAfterSeconds(resetAt) {
+  return Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+}
+
+// Middleware: at most `limit` requests per `windowMs` for each key(req).
+// Requests with no key (e.g. no email yet) pass through. A broken store fails
+// open - throttling is abuse protection, not worth taking checkout down for.
+export function createRateLimit({ store, name, limit, windowMs, key }) {
+  return async function rateLimit(req, res, next) {
+    const value = limit > 0 ? key(req) : null;
+    if (!value) return next();
+
+    let result;
+    try {
+      result = await store.increment(`${name}:${value}`, windowMs);
+    } catch (err) {
+      log.error("Rate limit store error", { limit: name, error: err });
+      return next();
+    }
+
+    res.set("RateLimit-Limit", String(limit));
+    res.set("RateLimit-Remaining", String(Math.max(0, limit - result.count)));
+    res.set("RateLimit-Reset", String(retryAfterSeconds(result.resetAt)));
+
+    if (result.count > limit) {
+      const retryAfter = retryAfterSeconds(result.resetAt);
+      log.warn("Rate limit hit", { limit: name, method: req.method, path: req.path, retryAfter });
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({ error: "Too many requests - please try again shortly", retryAfter });
+    }
+    next();
+  };
+}
+
+// Runs fn while holding `key`, waiting up to waitMs for another holder to
+// finish. Returns { busy: true } if the lock never came free. Like the rate
+// limits, a broken store fails open: fn runs without the lock.
+export async function withLock(store, key, fn, { ttlMs = 30 * 1000, waitMs = 5 * 1000, pollMs = 100 } = {}) {
+  const deadline = Date.now() + waitMs;
+  let token;
+  try {
+    token = await store.acquireLock(key, ttlMs);
+    while (!token && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, pollMs));
+      token = await store.acquireLock(key, ttlMs);
+    }
+  } catch (err) {
+    log.error("Lock store error - running without the lock", { error: err });
+    return { result: await fn() };
+  }
+  if (!token) return { busy: true };
+
+  try {
+    return { result: await fn() };
+  } finally {
+    await store.releaseLock(key, token).catch(err => log.error("Lock release failed", { error: err }));
+  }
+}
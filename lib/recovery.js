@@ -0,0 +1,210 @@
+// lib/recovery.js
+// Abandoned checkout recovery. When one of our Checkout sessions expires unpaid
+// (checkout.session.expired) we keep what was in it - email, job, cart or tier,
+// credit - under a random token, and email the customer a link back to
+// /checkout/recover/:token, which opens a fresh session for the same thing.
+//
+// Reminders are capped per email address (emailsPerDay in any 24 hours, 0 turns
+// them off), skipped once the job has been paid for, and never sent to
+// addresses that opted out through the link at the bottom of the email.
+import crypto from "node:crypto";
+import { formatMoney } from "./currency.js";
+import { html } from "./embed.js";
+import { log } from "./logger.js";
+import { idOf } from "./payments/ids.js";
+import { openStore } from "./store.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Records are forgotten this long after their link stops working
+const RETENTION_MS = 30 * DAY_MS;
+
+// Our success URLs get ?session_id={CHECKOUT_SESSION_ID} (and maybe &e=...) appended
+function baseSuccessUrl(url) {
+  return url ? url.replace(/[?&]session_id=\{CHECKOUT_SESSION_ID\}.*$/, "") : null;
+}
+
+function emailFor(session) {
+  return (session.customer_details?.email || session.customer_email || session.metadata?.email || "").toLowerCase() || null;
+}
+
+export function createRecovery({
+  payments,
+  mailer,
+  publicUrl,
+  sources,
+  emailsPerDay = 1,
+  linkDays = 7,
+  store = openStore("abandoned-checkouts", { checkouts: {}, optOuts: {} }),
+}) {
+  const { checkouts, optOuts } = store.data;
+
+  function prune(now = Date.now()) {
+    for (const [id, checkout] of Object.entries(checkouts)) {
+      if (Date.parse(checkout.linkExpiresAt) + RETENTION_MS < now) delete checkouts[id];
+    }
+  }
+
+  const linkFor = (checkout, suffix = "") => `${publicUrl}/checkout/recover/${checkout.token}${suffix}`;
+
+  // Keep an expired session worth recovering; returns the record or null
+  async function capture(session) {
+    if (!sources.includes(session.metadata?.source)) return null;
+    const email = emailFor(session);
+    if (!email) {
+      log.info("Expired session has no email - nothing to recover", { sessionId: session.id });
+      return null;
+    }
+    if (checkouts[session.id]) return checkouts[session.id];
+
+    const items = await payments.listLineItems(session.id);
+    const now = Date.now();
+    prune(now);
+    checkouts[session.id] = {
+      id: session.id,
+      token: crypto.randomBytes(24).toString("base64url"),
+      email,
+      customer: idOf(session.customer),
+      jobId: session.metadata?.jobId || null,
+      source: session.metadata.source,
+      tier: session.metadata?.tier || null,
+      items: items.map(item => ({ price: item.price?.id, quantity: item.quantity })),
+      itemNames: items.map(item => item.description).filter(Boolean),
+      currency: session.currency,
+      amountTotal: session.amount_total,
+      creditApplied: Number(session.metadata?.credit_applied || 0),
+      successUrl: baseSuccessUrl(session.success_url),
+      cancelUrl: session.cancel_url || null,
+      status: "abandoned",
+      expiredAt: new Date(now).toISOString(),
+      linkExpiresAt: new Date(now + linkDays * DAY_MS).toISOString(),
+      reminder: null,
+      recoveredAt: null,
+      recoveries: 0,
+    };
+    store.save();
+    log.info("Checkout abandoned", { sessionId: session.id, email, jobId: checkouts[session.id].jobId });
+    return checkouts[session.id];
+  }
+
+  function reminderFor(checkout) {
+    const what = checkout.itemNames.length ? checkout.itemNames.join(" + ") : "your upgrade";
+    const link = linkFor(checkout);
+    const optOut = linkFor(checkout, "/opt-out");
+    const until = new Date(checkout.linkExpiresAt).toLocaleDateString("en-GB", { day: "numeric", month: "long" });
+    const credit = checkout.creditApplied > 0
+      ? `Your ${formatMoney(checkout.creditApplied, checkout.currency)} credit from earlier upgrades is still applied.`
+      : null;
+
+    return {
+      to: checkout.email,
+      subject: "Your Golf Jobs upgrade is waiting",
+      text: [
+        "Hi,",
+        "",
+        `You started checking out ${what} but didn't finish.${credit ? ` ${credit}` : ""}`,
+        "",
+        `Pick up where you left off (until ${until}): ${link}`,
+        "",
+        `Don't want these reminders? ${optOut}`,
+      ].join("\n"),
+      html: html`<p>Hi,</p>
+<p>You started checking out <strong>${what}</strong> but didn't finish.${credit ? ` ${credit}` : ""}</p>
+<p><a href="${link}">Pick up where you left off</a> (the link works until ${until}).</p>
+<p style="font-size:12px;color:#666">Don't want these reminders? <a href="${optOut}">Unsubscribe</a>.</p>`,
+      headers: {
+        "List-Unsubscribe": `<${optOut}>`,
+        "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+      },
+    };
+  }
+
+  function skip(checkout, reason) {
+    checkout.reminder = { status: "skipped", reason, at: new Date().toISOString() };
+    store.save();
+    return checkout.reminder;
+  }
+
+  // Email the recovery link if nothing rules it out; returns checkout.reminder
+  async function remind(checkout, now = Date.now()) {
+    if (checkout.reminder) return checkout.reminder;
+    if (!mailer.enabled || !publicUrl || emailsPerDay === 0) return skip(checkout, "disabled");
+    if (checkout.status !== "abandoned") return skip(checkout, checkout.status);
+    if (optOuts[checkout.email]) return skip(checkout, "opted_out");
+
+    const sentToday = Object.values(checkouts).filter(
+      other =>
+        other.email === checkout.email &&
+        ["sending", "sent"].includes(other.reminder?.status) &&
+        now - Date.parse(other.reminder.at) < DAY_MS
+    );
+    if (sentToday.length >= emailsPerDay) return skip(checkout, "rate_limited");
+
+    // Counts towards the limit while it is being sent
+    checkout.reminder = { status: "sending", at: new Date(now).toISOString() };
+    try {
+      const messageId = await mailer.send(reminderFor(checkout));
+      checkout.reminder = { status: "sent", at: new Date(now).toISOString(), messageId };
+      log.info("Recovery email sent", { sessionId: checkout.id, email: checkout.email });
+    } catch (err) {
+      log.error("Recovery email failed", { sessionId: checkout.id, error: err });
+      checkout.reminder = { status: "failed", at: new Date(now).toISOString(), reason: err.message };
+    }
+    store.save();
+    return checkout.reminder;
+  }
+
+  return {
+    capture,
+    remind,
+
+    // The record behind a recovery link while the link still works. Opt-out
+    // links keep working after that (includeExpired).
+    find(token, { includeExpired = false } = {}) {
+      const checkout = Object.values(checkouts).find(c => c.token === token);
+      if (!checkout) return null;
+      if (!includeExpired && Date.parse(checkout.linkExpiresAt) <= Date.now()) return null;
+      return checkout;
+    },
+
+    // The customer came back through the link and got a new session
+    markRecovered(checkout) {
+      checkout.status = checkout.status === "converted" ? "converted" : "recovered";
+      checkout.recoveredAt = new Date().toISOString();
+      checkout.recoveries += 1;
+      store.save();
+    },
+
+    // A paid checkout for the job (or, without a job, by the email) closes its abandoned ones
+    markConverted({ email, jobId }) {
+      const normalised = (email || "").toLowerCase();
+      let changed = false;
+      for (const checkout of Object.values(checkouts)) {
+        if (checkout.status === "converted") continue;
+        const same = jobId ? checkout.jobId === jobId : !checkout.jobId && checkout.email === normalised;
+        if (!same) continue;
+        checkout.status = "converted";
+        checkout.convertedAt = new Date().toISOString();
+        changed = true;
+      }
+      if (changed) store.save();
+    },
+
+    optOut(email) {
+      optOuts[email.toLowerCase()] = new Date().toISOString();
+      store.save();
+      log.info("Opted out of recovery emails", { email });
+    },
+
+    isOptedOut: email => !!optOuts[(email || "").toLowerCase()],
+
+    // Capture the expired session, then send the reminder without holding up the webhook
+    webhookHandlers() {
+      return {
+        "checkout.session.expired": async session => {
+          const checkout = await capture(session);
+          if (checkout) remind(checkout).catch(err => log.error("Recovery reminder failed", { sessionId: session.id, error: err }));
+        },
+      };
+    },
+  };
+}
@@ -0,0 +1,27 @@
+// lib/redact.js
+// Helpers for showing customer data without exposing it in full.
+import crypto from "node:crypto";
+
+// "jane.doe@example.com" -> "ja***@e***.com"
+export function maskEmail(email) {
+  if (!email || !email.includes("@")) return null;
+  const [local, domain] = email.split("@");
+  const dot = domain.lastIndexOf(".");
+  const host = dot > 0 ? domain.slice(0, dot) : domain;
+  const tld = dot > 0 ? domain.slice(dot) : "";
+  return `${local.slice(0, Math.min(2, local.length - 1))}***@${host.slice(0, 1)}***${tld}`;
+}
+
+// Short, stable stand-in for an email or promotion code in the logs. Search for
+// a customer with hashForLog("jane.doe@example.com").
+export function hashForLog(value) {
+  const normalised = String(value).trim().toLowerCase();
+  return `sha256:${crypto.createHash("sha256").update(normalised).digest("hex").slice(0, 12)}`;
+}
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g;
+
+// Every email address in free text (error messages, stack traces) -> its hash
+export function scrubEmails(text) {
+  return typeof text === "string" ? text.replace(EMAIL_PATTERN, match => hashForLog(match)) : text;
+}
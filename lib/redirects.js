@@ -0,0 +1,46 @@
+// lib/redirects.js
+// Where Stripe Checkout may send the customer afterwards. Callers either pick a
+// named profile (?return=account) or pass success/cancel URLs, which must be
+// on an allowlisted origin - otherwise /checkout is an open redirect.
+import { matchesOrigin } from "./origins.js";
+
+export function createRedirectPolicy({ allowedOrigins = [], profiles }) {
+  // Vetted profile URLs are always allowed
+  const origins = [...allowedOrigins];
+  for (const profile of Object.values(profiles)) {
+    for (const url of [profile.success, profile.cancel]) {
+      const { origin } = new URL(url);
+      if (!origins.includes(origin)) origins.push(origin);
+    }
+  }
+
+  function check(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return false;
+    }
+    const secure = parsed.protocol === "https:" || (parsed.protocol === "http:" && parsed.hostname === "localhost");
+    return secure && !parsed.username && !parsed.password && matchesOrigin(origins, parsed.origin);
+  }
+
+  return {
+    origins,
+
+    // Returns { success, cancel } or { error, details }
+    resolve({ profile, success, cancel }) {
+      const base = Object.hasOwn(profiles, profile) ? profiles[profile] : null;
+      if (!base) {
+        return { error: "Unknown return profile", details: profile };
+      }
+
+      for (const url of [success, cancel]) {
+        if (url && !check(url)) {
+          return { error: "Redirect URL not allowed", details: url };
+        }
+      }
+      return { success: success || base.success, cancel: cancel || base.cancel };
+    },
+  };
+}
@@ -0,0 +1,29 @@
+// lib/store.js
+// Tiny file-backed JSON store. One file per store under DATA_DIR; the whole
+// document is kept in memory and rewritten atomically on save(). Good enough
+// for a single instance - swap for a real database if we ever run several.
+import fs from "node:fs";
+import path from "node:path";
+
+export function openStore(name, initial = {}, { dir = process.env.DATA_DIR || "data" } = {}) {
+  const file = path.resolve(dir, `${name}.json`);
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+    data = structuredClone(initial);
+  }
+
+  return {
+    file,
+    data,
+    save() {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+      fs.renameSync(tmp, file);
+    },
+  };
+}
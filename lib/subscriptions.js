@@ -0,0 +1,83 @@
+// lib/subscriptions.js
+// Recruiter plans (SUBSCRIPTION_PRICE_IDS). Subscription state is mirrored from
+// customer.subscription.* webhooks, so checkout can tell without a Stripe call
+// whether someone's plan already covers an upgrade.
+import { log } from "./logger.js";
+import { idOf } from "./payments/ids.js";
+import { openStore } from "./store.js";
+
+// past_due keeps the plan's benefits while Stripe retries the card
+const ACTIVE_STATUSES = ["active", "trialing", "past_due"];
+
+export function isActive(subscription) {
+  return ACTIVE_STATUSES.includes(subscription?.status);
+}
+
+export function createSubscriptions({ payments, planPriceIds = [], store = openStore("subscriptions", { subscriptions: {} }) }) {
+  const { subscriptions } = store.data;
+
+  async function emailFor(customerId, previous) {
+    if (previous?.email) return previous.email;
+    const customer = await payments.retrieveCustomer(customerId);
+    return customer.deleted ? null : (customer.email || "").toLowerCase() || null;
+  }
+
+  // Store the latest state of a subscription; returns { record, wasActive } or null
+  // for subscriptions that aren't one of our plans
+  async function sync(subscription) {
+    const priceIds = (subscription.items?.data || []).map(item => item.price?.id).filter(Boolean);
+    if (!priceIds.some(id => planPriceIds.includes(id))) return null;
+
+    const previous = subscriptions[subscription.id];
+    const customer = idOf(subscription.customer);
+    const record = {
+      id: subscription.id,
+      customer,
+      email: await emailFor(customer, previous),
+      status: subscription.status,
+      priceIds,
+      currentPeriodEnd: subscription.current_period_end
+        ? new Date(subscription.current_period_end * 1000).toISOString()
+        : null,
+      cancelAtPeriodEnd: !!subscription.cancel_at_period_end,
+      updatedAt: new Date().toISOString(),
+    };
+    subscriptions[subscription.id] = record;
+    store.save();
+    return { record, wasActive: isActive(previous) };
+  }
+
+  return {
+    sync,
+
+    // The customer's active plan (by Stripe customer or email), or null
+    activeFor({ customer, email }) {
+      const normalised = (email || "").toLowerCase();
+      return (
+        Object.values(subscriptions).find(
+          sub => isActive(sub) && ((customer && sub.customer === customer) || (normalised && sub.email === normalised))
+        ) || null
+      );
+    },
+
+    // customer.subscription.* events; onLapse(record) runs when a plan stops being active
+    webhookHandlers({ onLapse = () => {} } = {}) {
+      const handle = async subscription => {
+        const synced = await sync(subscription);
+        if (!synced) return;
+        log.info("Subscription updated", {
+          subscriptionId: synced.record.id,
+          status: synced.record.status,
+          customer: synced.record.customer,
+          email: synced.record.email,
+        });
+        if (synced.wasActive && !isActive(synced.record)) await onLapse(synced.record);
+      };
+      return {
+        "customer.subscription.created": handle,
+        "customer.subscription.updated": handle,
+        "customer.subscription.deleted": handle,
+      };
+    },
+  };
+}
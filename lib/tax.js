@@ -0,0 +1,61 @@
+// lib/tax.js
+// VAT on checkouts. TAX_MODE "automatic" has Stripe Tax work it out from the
+// billing address, "fixed" puts TAX_RATE_IDS on every line item, and "off"
+// charges none. Business customers can enter a VAT number (TAX_ID_COLLECTION),
+// and payment-mode sessions get a Stripe invoice (INVOICE_CREATION) that
+// GET /checkout/session/:id/receipt links to. Plans are invoiced by Stripe anyway.
+//
+// Credit has to come out the same whichever way prices are set up: a coupon
+// comes off a tax-exclusive price before VAT is added, but off the VAT-inclusive
+// amount otherwise. behaviorOf(price) says which, and ledger.creditFor() counts
+// earlier purchases net of their VAT when it is "exclusive".
+
+export const TAX_MODES = ["off", "automatic", "fixed"];
+export const TAX_BEHAVIORS = ["exclusive", "inclusive"];
+
+export function createTaxPolicy({
+  mode = "off",
+  rateIds = [],
+  behavior = "exclusive",
+  collectTaxIds = false,
+  invoices = false,
+  invoiceFooter = null,
+} = {}) {
+  return {
+    mode,
+    invoices,
+
+    // Checkout Session params for tax, VAT numbers and invoices. Checkout only
+    // saves the address and business name it collects onto an existing customer
+    // when customer_update allows it (Stripe requires that for both features).
+    sessionParams({ mode: sessionMode, customer = null, metadata = {} }) {
+      const params = {};
+      if (mode === "automatic") params.automatic_tax = { enabled: true };
+      if (collectTaxIds) params.tax_id_collection = { enabled: true };
+      if (customer && (mode === "automatic" || collectTaxIds)) {
+        params.customer_update = { address: "auto", name: "auto" };
+      }
+      if (invoices && sessionMode === "payment") {
+        params.invoice_creation = {
+          enabled: true,
+          invoice_data: { metadata, ...(invoiceFooter ? { footer: invoiceFooter } : {}) },
+        };
+      }
+      return params;
+    },
+
+    // { price, quantity } -> the same with the fixed tax rates, if any
+    lineItem(item) {
+      return mode === "fixed" && rateIds.length > 0 ? { ...item, tax_rates: rateIds } : item;
+    },
+
+    // "exclusive" (VAT is added on top of the price) or "inclusive". Without tax
+    // the price is the whole charge. Stripe Tax uses the price's own tax_behavior;
+    // fixed rates (and unspecified prices) use TAX_BEHAVIOR.
+    behaviorOf(price) {
+      if (mode === "off") return "inclusive";
+      if (mode === "automatic" && TAX_BEHAVIORS.includes(price?.tax_behavior)) return price.tax_behavior;
+      return behavior;
+    },
+  };
+}
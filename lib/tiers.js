@@ -0,0 +1,161 @@
+// lib/tiers.js
+// The upgrade ladder: which upgrades we sell, which lower tiers count as
+// credit towards which higher ones, how much credit a tier accepts and
+// whether credit is pooled per customer or kept per job. It comes from one of:
+//
+//   UPGRADE_TIERS=path/to/tiers.json   (see config/upgrade-tiers.example.json)
+//   UPGRADE_TIERS=metadata             (upgrade_tier, upgrade_rank, credit_from,
+//                                       credit_cap, credit_scope on PRODUCT_IDS)
+//   unset                              (legacy: SINGLE_UPGRADE_PRODUCT_IDS all
+//                                       count towards BUNDLE_PRICE_ID)
+import { log } from "./logger.js";
+// credit_from="featured,highlight" splits like any other comma-separated setting
+import { parseOriginList as parseList } from "./origins.js";
+
+export const CREDIT_SCOPES = ["customer", "job"];
+
+const TIER_ID = /^[a-z0-9][a-z0-9_-]*$/;
+
+// Validates a ladder definition. Returns { ladder, errors }; tiers with errors are dropped.
+//   { creditScope?, defaultTier?, tiers: [{ id, name?, productId?, priceId?, rank?,
+//     creditFrom?: [tierId], maxCredit?: number | { gbp: 5000 }, creditScope? }] }
+export function parseLadder(input) {
+  const errors = [];
+  const creditScope = input?.creditScope || "customer";
+  if (!CREDIT_SCOPES.includes(creditScope)) {
+    errors.push(`creditScope must be one of ${CREDIT_SCOPES.join(", ")}`);
+  }
+  if (!Array.isArray(input?.tiers) || input.tiers.length === 0) {
+    return { ladder: null, errors: [...errors, "tiers must be a non-empty array"] };
+  }
+
+  const tiers = [];
+  input.tiers.forEach((tier, index) => {
+    const label = `tier ${tier?.id || index}`;
+    if (!TIER_ID.test(tier?.id || "")) return errors.push(`${label}: id must be lowercase letters, digits, - or _`);
+    if (tiers.some(t => t.id === tier.id)) return errors.push(`${label}: duplicate id`);
+    if (!tier.priceId && !tier.productId) return errors.push(`${label}: needs a priceId or productId`);
+    if (tier.creditScope && !CREDIT_SCOPES.includes(tier.creditScope)) {
+      return errors.push(`${label}: creditScope must be one of ${CREDIT_SCOPES.join(", ")}`);
+    }
+    const caps = typeof tier.maxCredit === "object" && tier.maxCredit ? Object.values(tier.maxCredit) : [tier.maxCredit];
+    if (tier.maxCredit != null && !caps.every(cap => Number.isInteger(cap) && cap >= 0)) {
+      return errors.push(`${label}: maxCredit must be whole minor units (or a map of them per currency)`);
+    }
+    tiers.push({
+      id: tier.id,
+      name: tier.name || null,
+      productId: tier.productId || null,
+      priceId: tier.priceId || null,
+      rank: Number.isFinite(tier.rank) ? tier.rank : index,
+      creditFrom: Array.isArray(tier.creditFrom) ? tier.creditFrom : parseList(tier.creditFrom),
+      maxCredit: tier.maxCredit ?? null,
+      creditScope: tier.creditScope || null,
+    });
+  });
+
+  for (const tier of tiers) {
+    const unknown = tier.creditFrom.filter(id => !tiers.some(t => t.id === id));
+    if (unknown.length) errors.push(`tier ${tier.id}: creditFrom names unknown tiers (${unknown.join(", ")})`);
+    if (tier.creditFrom.includes(tier.id)) errors.push(`tier ${tier.id}: cannot credit towards itself`);
+    tier.creditFrom = tier.creditFrom.filter(id => id !== tier.id && tiers.some(t => t.id === id));
+  }
+
+  const defaultTier = input.defaultTier || [...tiers].sort((a, b) => b.rank - a.rank)[0]?.id;
+  if (!tiers.some(t => t.id === defaultTier)) errors.push(`defaultTier "${defaultTier}" is not a tier`);
+
+  return { ladder: { creditScope, defaultTier, tiers }, errors };
+}
+
+// The original single rule: every single upgrade counts towards the bundle
+export function legacyLadder({ bundlePriceId, singleUpgradeProductIds, creditScope = "customer" }) {
+  if (!bundlePriceId) return null;
+  return parseLadder({
+    creditScope,
+    defaultTier: "bundle",
+    tiers: [
+      ...singleUpgradeProductIds.map((productId, rank) => ({ id: productId.toLowerCase(), productId, rank })),
+      {
+        id: "bundle",
+        name: "Max Visibility",
+        priceId: bundlePriceId,
+        rank: singleUpgradeProductIds.length,
+        creditFrom: singleUpgradeProductIds.map(id => id.toLowerCase()),
+      },
+    ],
+  }).ladder;
+}
+
+// Tiers described on the products themselves (catalogue products with upgrade_tier metadata)
+export function ladderFromMetadata(products, { creditScope = "customer" } = {}) {
+  const tiers = Object.values(products)
+    .filter(product => !product.error && product.metadata?.upgrade_tier)
+    .map(product => {
+      const cap = product.metadata.credit_cap;
+      return {
+        id: product.metadata.upgrade_tier,
+        name: product.name,
+        productId: product.id,
+        priceId: product.prices?.[0]?.id || null,
+        rank: Number(product.metadata.upgrade_rank ?? 0),
+        creditFrom: parseList(product.metadata.credit_from),
+        maxCredit: cap === undefined || cap === "" ? null : Number(cap),
+        creditScope: product.metadata.credit_scope || null,
+      };
+    });
+  return parseLadder({ creditScope, tiers });
+}
+
+// Resolves the configured ladder against the catalogue (product <-> price) on each get()
+export function createUpgradeLadder({ catalogue, source, bundlePriceId, singleUpgradeProductIds, creditScope }) {
+  const fixed = source === "metadata" ? null : source || legacyLadder({ bundlePriceId, singleUpgradeProductIds, creditScope });
+  let reported = "";
+
+  return {
+    // { tiers, defaultTier, tier(id), tierForProduct(productId) }; tiers is empty when nothing is configured
+    async get() {
+      const { products, prices } = await catalogue.get();
+
+      let ladder = fixed;
+      if (source === "metadata") {
+        const parsed = ladderFromMetadata(products, { creditScope });
+        // Same metadata, same errors - only log them when they change
+        const message = parsed.errors.join("; ");
+        if (message && message !== reported) log.warn("Upgrade tier metadata problems", { problems: parsed.errors });
+        reported = message;
+        ladder = parsed.ladder;
+      }
+
+      const tiers = (ladder?.tiers || []).map(tier => {
+        const productId = tier.productId || prices[tier.priceId]?.product || null;
+        const priceId = tier.priceId || products[productId]?.prices?.[0]?.id || null;
+        return {
+          ...tier,
+          name: tier.name || products[productId]?.name || tier.id,
+          productId,
+          priceId,
+          creditScope: tier.creditScope || ladder.creditScope,
+        };
+      });
+      for (const tier of tiers) {
+        tier.creditProductIds = tier.creditFrom
+          .map(id => tiers.find(t => t.id === id)?.productId)
+          .filter(Boolean);
+      }
+
+      return {
+        tiers,
+        defaultTier: ladder?.defaultTier || null,
+        tier: id => tiers.find(t => t.id === id) || null,
+        tierForProduct: productId => tiers.find(t => t.productId === productId) || null,
+      };
+    },
+  };
+}
+
+// Most credit a tier accepts in `currency` (null = no cap beyond the tier's price)
+export function creditCap(tier, currency) {
+  if (tier.maxCredit == null) return null;
+  if (typeof tier.maxCredit === "number") return tier.maxCredit;
+  return tier.maxCredit[currency] ?? null;
+}
@@ -0,0 +1,95 @@
+// lib/tokens.js
+// Signed checkout tokens from the main Golf Jobs app. They are plain HS256
+// JWTs ({ email, jobId, exp }) signed with CHECKOUT_TOKEN_SECRET, so the main
+// site can mint them with any JWT library. Checkout routes take the customer's
+// identity from the token only - never from the request body.
+import crypto from "node:crypto";
+import { log } from "./logger.js";
+
+const CLOCK_SKEW_SECONDS = 30;
+
+function base64url(input) {
+  return Buffer.from(input).toString("base64url");
+}
+
+function sign(data, secret) {
+  return crypto.createHmac("sha256", secret).update(data).digest("base64url");
+}
+
+// Used by scripts/sign-checkout-token.js; the main app normally mints these itself
+export function signCheckoutToken({ email, jobId, ttlSeconds = 900 }, secret) {
+  const header = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const now = Math.floor(Date.now() / 1000);
+  const payload = base64url(JSON.stringify({ email, jobId, iat: now, exp: now + ttlSeconds }));
+  return `${header}.${payload}.${sign(`${header}.${payload}`, secret)}`;
+}
+
+// Returns { email, jobId } or { error }
+export function verifyCheckoutToken(token, secret, { maxAgeSeconds = 3600 } = {}) {
+  const parts = (token || "").split(".");
+  if (parts.length !== 3) return { error: "Malformed checkout token" };
+  const [header, payload, signature] = parts;
+
+  const expected = Buffer.from(sign(`${header}.${payload}`, secret));
+  const supplied = Buffer.from(signature);
+  if (expected.length !== supplied.length || !crypto.timingSafeEqual(expected, supplied)) {
+    return { error: "Invalid checkout token signature" };
+  }
+
+  let claims;
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, "base64url").toString("utf8"));
+    if (alg !== "HS256") return { error: "Unsupported checkout token algorithm" };
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    return { error: "Malformed checkout token" };
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (!Number.isInteger(claims.exp) || claims.exp + CLOCK_SKEW_SECONDS < now) {
+    return { error: "Checkout token has expired" };
+  }
+  // Short-lived only: refuse tokens minted to last longer than we allow
+  if (claims.exp - now > maxAgeSeconds) {
+    return { error: "Checkout token lifetime is too long" };
+  }
+  if (typeof claims.email !== "string" || !claims.email.includes("@")) {
+    return { error: "Checkout token has no email" };
+  }
+
+  return { email: claims.email.trim(), jobId: claims.jobId ? String(claims.jobId) : null };
+}
+
+// Middleware: sets req.checkoutIdentity = { email, jobId, signed }. Unsigned
+// requests (identity from body/query) only pass while allowUnsigned is on.
+export function createCheckoutIdentity({ secret, allowUnsigned = false, maxAgeSeconds }) {
+  return function checkoutIdentity(req, res, next) {
+    const token = req.get("x-checkout-token") || req.body?.token || req.query.token;
+
+    if (token) {
+      if (!secret) {
+        return res.status(500).json({ error: "Server missing CHECKOUT_TOKEN_SECRET", code: "not_configured" });
+      }
+      const identity = verifyCheckoutToken(String(token), secret, { maxAgeSeconds });
+      if (identity.error) {
+        return res.status(401).json({ error: identity.error });
+      }
+      req.checkoutIdentity = { ...identity, signed: true };
+      return next();
+    }
+
+    if (!allowUnsigned) {
+      return res.status(401).json({ error: "Missing checkout token" });
+    }
+
+    const email = req.body?.email || req.query.email;
+    const jobId = req.body?.jobId || req.query.jobId;
+    log.warn("Unsigned checkout request (ALLOW_UNSIGNED_CHECKOUT is on)", { path: req.path });
+    req.checkoutIdentity = {
+      email: email ? String(email).trim() : null,
+      jobId: jobId ? String(jobId) : null,
+      signed: false,
+    };
+    next();
+  };
+}
@@ -0,0 +1,176 @@
+// lib/webhooks.js
+// Stripe webhook handling: signature verification, de-duplication by event ID
+// and dispatch to per-event-type handlers.
+import { log } from "./logger.js";
+import { idOf } from "./payments/ids.js";
+import { openStore } from "./store.js";
+
+// Stripe retries for up to 3 days - keep processed IDs comfortably longer.
+const EVENT_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+export function createStripeWebhookHandler({ payments, secret, handlers, store = openStore("webhook-events") }) {
+  const processed = store.data;
+  const inFlight = new Set();
+
+  function remember(event) {
+    const cutoff = Date.now() - EVENT_RETENTION_MS;
+    for (const [id, entry] of Object.entries(processed)) {
+      if (Date.parse(entry.processedAt) < cutoff) delete processed[id];
+    }
+    processed[event.id] = { type: event.type, processedAt: new Date().toISOString() };
+    store.save();
+  }
+
+  return async function stripeWebhook(req, res) {
+    if (!payments || !secret) {
+      return res.status(500).json({ error: "Webhook not configured", code: "not_configured" });
+    }
+
+    let event;
+    try {
+      event = payments.constructWebhookEvent(req.body, req.headers["stripe-signature"], secret);
+    } catch (err) {
+      log.warn("Webhook signature verification failed", { error: err });
+      return res.status(400).json({ error: "Invalid signature" });
+    }
+
+    if (processed[event.id] || inFlight.has(event.id)) {
+      log.info("Skipping duplicate webhook event", { eventId: event.id, type: event.type });
+      return res.json({ received: true, duplicate: true });
+    }
+
+    const handler = handlers[event.type];
+    if (!handler) {
+      return res.json({ received: true, ignored: true });
+    }
+
+    inFlight.add(event.id);
+    try {
+      await handler(event.data.object, event);
+      remember(event);
+      res.json({ received: true });
+    } catch (err) {
+      // Non-2xx makes Stripe retry the delivery later
+      log.error("Webhook handler failed", { eventId: event.id, type: event.type, error: err });
+      res.status(500).json({ error: "Webhook handler failed" });
+    } finally {
+      inFlight.delete(event.id);
+    }
+  };
+}
+
+// Several modules can handle the same event type: { type: handler } maps are
+// merged so each one runs, in the order given. A failure stops the ones after it.
+export function combineHandlers(...maps) {
+  const combined = {};
+  for (const map of maps) {
+    for (const [type, handler] of Object.entries(map)) {
+      const before = combined[type];
+      combined[type] = before
+        ? async (object, event) => {
+            await before(object, event);
+            await handler(object, event);
+          }
+        : handler;
+    }
+  }
+  return combined;
+}
+
+function jobIdFor(session) {
+  const jobId = session.metadata?.jobId;
+  if (!jobId) {
+    log.info("Session has no jobId in metadata - nothing to fulfil", { sessionId: session.id });
+  }
+  return jobId;
+}
+
+// Records a paid session in the ledger, grants its entitlements and upgrades its
+// job. Shared by the webhook and the admin "re-send fulfilment" action; safe to run twice.
+// onEvent("purchase.completed", { session, job, entitlements }) runs for each upgraded job.
+export function createSessionFulfiller({ fulfilment, ledger, entitlements, onEvent = () => {} }) {
+  return async function fulfil(session) {
+    // Credit is per customer, so record the purchase even without a jobId
+    const rows = await ledger.recordSession(session);
+
+    const jobId = jobIdFor(session);
+    if (!jobId) return null;
+    const granted = session.subscription
+      ? [await entitlements.grantForSubscription({ jobId, subscriptionId: idOf(session.subscription) })].filter(Boolean)
+      : await entitlements.grantForPurchase(rows, session);
+    const job = fulfilment.markUpgraded(jobId, {
+      sessionId: session.id,
+      // Subscription checkouts: the upgrade lasts as long as the plan does
+      subscriptionId: idOf(session.subscription),
+      customer: idOf(session.customer),
+      email: session.customer_details?.email || session.metadata?.email,
+      source: session.metadata?.source,
+    });
+    await onEvent("purchase.completed", { session, job, entitlements: granted });
+    return job;
+  };
+}
+
+// Handlers that turn checkout/charge/dispute events into ledger rows and job upgrades/downgrades.
+// onEvent also gets "purchase.refunded" ({ session, charge, job, entitlements, stillUpgraded })
+// for full refunds. Jobs are only downgraded once none of their upgrades is still live.
+export function createFulfilmentHandlers({ payments, fulfilment, ledger, entitlements, onEvent = () => {} }) {
+  const fulfil = createSessionFulfiller({ fulfilment, ledger, entitlements, onEvent });
+
+  return {
+    "checkout.session.completed": async (session) => {
+      // Delayed payment methods complete the session before the money arrives
+      if (session.payment_status === "unpaid") {
+        log.info("Session completed but awaiting async payment", { sessionId: session.id });
+        return;
+      }
+      await fulfil(session);
+    },
+
+    "checkout.session.async_payment_succeeded": async (session) => {
+      await fulfil(session);
+    },
+
+    "checkout.session.async_payment_failed": async (session) => {
+      const jobId = jobIdFor(session);
+      if (!jobId) return;
+      entitlements.revokeSession(session.id, "async_payment_failed");
+      if (!entitlements.hasLive(jobId)) {
+        fulfilment.markDowngraded(jobId, { sessionId: session.id, reason: "async_payment_failed" });
+      }
+    },
+
+    "charge.refunded": async (charge) => {
+      if (!charge.payment_intent) return;
+      const paymentIntent = idOf(charge.payment_intent);
+
+      // Partial refunds reduce credit in the ledger but keep the upgrade in place
+      await ledger.refreshPayment(paymentIntent);
+      if (!charge.refunded) return;
+
+      const session = await payments.findSessionForPayment(paymentIntent);
+      if (!session) {
+        log.info("No checkout session found for refunded charge", { chargeId: charge.id });
+        return;
+      }
+
+      const jobId = jobIdFor(session);
+      if (!jobId) return;
+      const revoked = entitlements.revokeSession(session.id, "refunded");
+      // Another session's upgrade can still be running for the job
+      const stillUpgraded = entitlements.hasLive(jobId);
+      const job = stillUpgraded
+        ? fulfilment.getStatus(jobId)
+        : fulfilment.markDowngraded(jobId, { sessionId: session.id, reason: "refunded" });
+      await onEvent("purchase.refunded", { session, charge, job, entitlements: revoked, stillUpgraded });
+    },
+
+    "charge.dispute.created": async (dispute) => {
+      if (dispute.payment_intent) await ledger.refreshPayment(idOf(dispute.payment_intent));
+    },
+
+    "charge.dispute.closed": async (dispute) => {
+      if (dispute.payment_intent) await ledger.refreshPayment(idOf(dispute.payment_intent));
+    },
+  };
+}
@@ -0,0 +1,75 @@
+// Runs inside the /pricing-widget iframe. Starts checkouts and asks the page
+// embedding us (public/pricing-widget.js) to navigate, since a framed page
+// can't always move the top window itself. Without the embed script (a plain
+// <iframe>) it navigates the top window directly.
+(function () {
+  var body = document.body;
+  var token = body.dataset.token || null;
+  var profile = body.dataset.return || null;
+  var embedded = body.dataset.embedded === "true";
+  var errorBox = document.querySelector(".error");
+
+  function post(message) {
+    window.parent.postMessage(Object.assign({ source: "golf-jobs-pricing" }, message), "*");
+  }
+
+  function navigate(url) {
+    if (embedded) return post({ type: "navigate", url: new URL(url, location.href).href });
+    try {
+      window.top.location.href = url;
+    } catch (err) {
+      window.open(url, "_blank", "noopener");
+    }
+  }
+
+  function showError(message) {
+    errorBox.textContent = message;
+    errorBox.hidden = false;
+  }
+
+  function upgrade(button) {
+    var label = button.textContent;
+    button.disabled = true;
+    button.textContent = "Loading…";
+    errorBox.hidden = true;
+
+    fetch("/checkout/upgrade", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ token: token, tier: button.dataset.upgrade, return: profile || undefined }),
+    })
+      .then(function (res) {
+        return res.json().then(function (data) {
+          if (!res.ok) throw new Error(data.error || "Unable to start checkout");
+          return data;
+        });
+      })
+      .then(function (data) {
+        navigate(data.url || data.redirectUrl);
+      })
+      .catch(function (err) {
+        showError(err.message);
+        button.disabled = false;
+        button.textContent = label;
+      });
+  }
+
+  document.addEventListener("click", function (event) {
+    var target = event.target.closest("[data-upgrade], [data-checkout], [data-sign-in]");
+    if (!target) return;
+    event.preventDefault();
+
+    if (target.dataset.upgrade) upgrade(target);
+    else if (target.hasAttribute("data-checkout")) navigate(target.href);
+    else post({ type: "sign-in", offer: target.dataset.signIn });
+  });
+
+  // Let the embed script size the iframe to fit
+  function resize() {
+    post({ type: "resize", height: document.documentElement.scrollHeight });
+  }
+  if (embedded) {
+    new ResizeObserver(resize).observe(document.documentElement);
+    resize();
+  }
+})();
@@ -0,0 +1,62 @@
+// Embed script for /pricing-widget. On the host page:
+//
+//   <div data-golf-jobs-pricing data-token="<signed checkout token>" data-return="upgrade"
+//        data-title="Upgrade your listing" data-accent="#0f766e" data-currency="gbp"
+//        data-sign-in-url="/login"></div>
+//   <script src="https://<this server>/pricing-widget.js" async></script>
+//
+// Each element becomes an auto-sized iframe. Checkout links open in the host
+// page; "Sign in" goes to data-sign-in-url, or fires a "golf-jobs:sign-in"
+// event on the element for the page to handle.
+(function () {
+  var script = document.currentScript;
+  var origin = new URL(script.src).origin;
+  var PARAMS = ["token", "return", "currency", "title", "speed", "greyscale", "bg", "text", "accent"];
+  var frames = [];
+
+  function mount(element) {
+    if (element.dataset.golfJobsMounted) return;
+    element.dataset.golfJobsMounted = "true";
+
+    var query = new URLSearchParams({ embed: "1" });
+    PARAMS.forEach(function (name) {
+      var value = element.getAttribute("data-" + name);
+      if (value) query.set(name, value);
+    });
+
+    var iframe = document.createElement("iframe");
+    iframe.src = origin + "/pricing-widget?" + query;
+    iframe.title = element.getAttribute("data-title") || "Upgrade options";
+    iframe.style.cssText = "width:100%;border:0;display:block;min-height:200px";
+    iframe.setAttribute("loading", "lazy");
+    element.appendChild(iframe);
+    frames.push({ iframe: iframe, element: element });
+  }
+
+  window.addEventListener("message", function (event) {
+    if (event.origin !== origin || !event.data || event.data.source !== "golf-jobs-pricing") return;
+    var frame = frames.find(function (f) {
+      return f.iframe.contentWindow === event.source;
+    });
+    if (!frame) return;
+
+    var data = event.data;
+    if (data.type === "resize" && data.height > 0) {
+      frame.iframe.style.height = Math.ceil(data.height) + "px";
+    } else if (data.type === "navigate" && /^https?:\/\//.test(data.url)) {
+      window.location.href = data.url;
+    } else if (data.type === "sign-in") {
+      var signIn = frame.element.getAttribute("data-sign-in-url");
+      var proceed = frame.element.dispatchEvent(
+        new CustomEvent("golf-jobs:sign-in", { bubbles: true, cancelable: true, detail: { offer: data.offer } })
+      );
+      if (proceed && signIn) window.location.href = signIn;
+    }
+  });
+
+  function mountAll() {
+    document.querySelectorAll("[data-golf-jobs-pricing]").forEach(mount);
+  }
+  if (document.readyState === "loading") document.addEventListener("DOMContentLoaded", mountAll);
+  else mountAll();
+})();
@@ -0,0 +1,33 @@
+// scripts/backfill-ledger.js
+// Imports every paid checkout session from Stripe into the local purchase ledger.
+// The running server does the import (POST /admin/ledger/backfill) so it lands in
+// the ledger the server holds in memory. Safe to re-run: rows are keyed by
+// session + line item.
+//
+//   npm run backfill:ledger
+//   SERVER_URL=https://upsell.example.com npm run backfill:ledger
+import dotenv from "dotenv";
+
+dotenv.config();
+
+if (!process.env.ADMIN_TOKEN) {
+  console.error("ADMIN_TOKEN is not set");
+  process.exit(1);
+}
+
+const serverUrl = process.env.SERVER_URL || `http://localhost:${process.env.PORT || 10000}`;
+
+console.log(`Backfilling purchase ledger from Stripe checkout sessions via ${serverUrl}...`);
+
+try {
+  const res = await fetch(`${serverUrl}/admin/ledger/backfill`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${process.env.ADMIN_TOKEN}` },
+  });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(`${res.status} ${body.error || res.statusText}`);
+  console.log(`Done: ${body.rows} ledger rows from ${body.sessions} paid sessions`);
+} catch (err) {
+  console.error("Backfill failed:", err.message);
+  process.exit(1);
+}
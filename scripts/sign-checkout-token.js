@@ -0,0 +1,17 @@
+// scripts/sign-checkout-token.js
+// Mints a checkout token the same way the main Golf Jobs app does - handy for
+// testing /checkout and /checkout/credit by hand.
+//
+//   npm run sign-token -- employer@example.com 12345 [ttlSeconds]
+import dotenv from "dotenv";
+import { signCheckoutToken } from "../lib/tokens.js";
+
+dotenv.config();
+
+const [email, jobId, ttl] = process.argv.slice(2);
+if (!process.env.CHECKOUT_TOKEN_SECRET || !email) {
+  console.error("Usage: CHECKOUT_TOKEN_SECRET=... npm run sign-token -- <email> [jobId] [ttlSeconds]");
+  process.exit(1);
+}
+
+console.log(signCheckoutToken({ email, jobId, ttlSeconds: Number(ttl) || 900 }, process.env.CHECKOUT_TOKEN_SECRET));
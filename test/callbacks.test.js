@@ -0,0 +1,174 @@
+// test/callbacks.test.js
+// Signed callbacks to the job board: what gets sent, retries, the dead-letter
+// list and admin replay. A local HTTP server stands in for the job board.
+import assert from "node:assert/strict";
+import http from "node:http";
+import { once } from "node:events";
+import { test } from "node:test";
+import { backoffMs, signCallback } from "../lib/callbacks.js";
+import { startServer } from "./helpers.js";
+
+const CALLBACK_SECRET = "test-callback-secret-0123456789abcdef";
+
+// Records every request; `status` is what it answers with next
+async function startReceiver(t) {
+  const receiver = { requests: [], status: 200 };
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => (body += chunk));
+    req.on("end", () => {
+      receiver.requests.push({ headers: req.headers, body });
+      res.writeHead(receiver.status).end();
+    });
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  t.after(() => {
+    server.close();
+    server.closeAllConnections();
+  });
+  receiver.url = `http://127.0.0.1:${server.address().port}/hooks/upsell`;
+  return receiver;
+}
+
+async function startWithCallbacks(t, env = {}) {
+  const receiver = await startReceiver(t);
+  const app = await startServer(t, { env: { CALLBACK_URL: receiver.url, CALLBACK_SECRET, ...env } });
+  return { app, receiver };
+}
+
+// Deliveries are sent in the background after the webhook answers
+async function deliveries(app, predicate) {
+  for (let i = 0; i < 100; i++) {
+    const res = await app.admin("GET", "/callbacks");
+    if (predicate(res.json.deliveries)) return res.json.deliveries;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error("Timed out waiting for callback deliveries");
+}
+
+test("a paid upgrade is posted to the job board, signed", async t => {
+  const { app, receiver } = await startWithCallbacks(t);
+  const session = await app.purchase({ items: [{ price: "price_featured" }] });
+
+  const [delivery] = await deliveries(app, list => list[0]?.status === "delivered");
+  assert.equal(delivery.id, `purchase.completed:${session.id}`);
+  assert.equal(receiver.requests.length, 1);
+
+  const { headers, body } = receiver.requests[0];
+  assert.equal(headers["golf-jobs-event"], "purchase.completed");
+  assert.equal(headers["golf-jobs-delivery"], delivery.id);
+  const timestamp = /t=(\d+)/.exec(headers["golf-jobs-signature"])[1];
+  assert.equal(headers["golf-jobs-signature"], signCallback(body, CALLBACK_SECRET, timestamp));
+
+  const payload = JSON.parse(body);
+  assert.equal(payload.type, "purchase.completed");
+  assert.deepEqual(
+    { jobId: payload.data.jobId, tier: payload.data.tier, amount: payload.data.amount, currency: payload.data.currency },
+    { jobId: "job_1", tier: "prod_featured", amount: 2900, currency: "gbp" }
+  );
+  assert.equal(payload.data.customer.email, "recruiter@example.com");
+
+  // The same session fulfilled again (admin re-send) is not posted twice
+  await app.admin("POST", `/sessions/${session.id}/fulfil`);
+  assert.equal(receiver.requests.length, 1);
+});
+
+test("multi-upgrade carts report the highest tier, and full refunds are posted", async t => {
+  const { app, receiver } = await startWithCallbacks(t);
+  const session = await app.purchase({ items: [{ price: "price_featured" }, { price: "price_bundle" }] });
+  await deliveries(app, list => list.length === 1 && list[0].status === "delivered");
+  const completed = JSON.parse(receiver.requests[0].body).data;
+  assert.equal(completed.tier, "bundle");
+  assert.deepEqual(completed.tiers.sort(), ["bundle", "prod_featured"]);
+  assert.equal(completed.amount, 6800);
+
+  // Partial refunds keep the upgrade, so the job board isn't told
+  await app.webhook("charge.refunded", app.payments.refund(session.payment_intent, 800));
+  await app.webhook("charge.refunded", app.payments.refund(session.payment_intent));
+  const list = await deliveries(app, all => all.filter(d => d.status === "delivered").length === 2);
+  assert.equal(list.length, 2);
+  const refunded = JSON.parse(receiver.requests[1].body);
+  assert.equal(refunded.type, "purchase.refunded");
+  assert.equal(refunded.data.amount, 6800);
+  assert.equal(refunded.data.sessionId, session.id);
+  assert.equal(refunded.data.stillUpgraded, false);
+});
+
+test("a refund says whether another upgrade still keeps the job upgraded", async t => {
+  const { app, receiver } = await startWithCallbacks(t, { CALLBACK_EVENTS: "purchase.refunded" });
+  const featured = await app.purchase({ items: [{ price: "price_featured" }] });
+  await app.purchase({ items: [{ price: "price_highlight" }] });
+
+  await app.webhook("charge.refunded", app.payments.refund(featured.payment_intent));
+  await deliveries(app, list => list[0]?.status === "delivered");
+  const refunded = JSON.parse(receiver.requests[0].body).data;
+  assert.equal(refunded.sessionId, featured.id);
+  assert.equal(refunded.stillUpgraded, true);
+});
+
+test("an expired upgrade is posted to the job board", async t => {
+  const { app, receiver } = await startWithCallbacks(t, { CALLBACK_EVENTS: "upgrade.expired" });
+  const session = await app.purchase({ items: [{ price: "price_featured" }] });
+
+  app.sweepEntitlements(Date.now() + 31 * 24 * 60 * 60 * 1000);
+  const [delivery] = await deliveries(app, list => list[0]?.status === "delivered");
+  // One delivery per entitlement row (session + line item)
+  assert.ok(delivery.id.startsWith(`upgrade.expired:${session.id}:`), delivery.id);
+  assert.equal(receiver.requests.length, 1);
+
+  const payload = JSON.parse(receiver.requests[0].body);
+  assert.equal(payload.type, "upgrade.expired");
+  assert.deepEqual(
+    { jobId: payload.data.jobId, tier: payload.data.tier, amount: payload.data.amount, sessionId: payload.data.sessionId },
+    { jobId: "job_1", tier: "prod_featured", amount: 2900, sessionId: session.id }
+  );
+  assert.equal(payload.data.stillUpgraded, false);
+  assert.ok(Date.parse(payload.data.expiredAt) > Date.now());
+});
+
+test("failed deliveries back off, then dead-letter, and admins can replay them", async t => {
+  const { app, receiver } = await startWithCallbacks(t, { CALLBACK_MAX_ATTEMPTS: "2" });
+  receiver.status = 503;
+  const session = await app.purchase({ items: [{ price: "price_featured" }] });
+  const id = `purchase.completed:${session.id}`;
+
+  const [pending] = await deliveries(app, list => list[0]?.attempts === 1);
+  assert.equal(pending.status, "pending");
+  assert.equal(pending.lastError, "HTTP 503");
+  const wait = Date.parse(pending.nextAttemptAt) - Date.parse(pending.lastAttemptAt);
+  assert.ok(Math.abs(wait - backoffMs(1)) < 1000);
+
+  // A manual replay that also fails uses up the last attempt
+  const dead = await app.admin("POST", `/callbacks/${encodeURIComponent(id)}/replay`);
+  assert.equal(dead.json.status, "dead");
+  assert.equal((await app.admin("GET", "/callbacks?status=dead")).json.deliveries.length, 1);
+
+  receiver.status = 204;
+  const replayed = await app.admin("POST", `/callbacks/${encodeURIComponent(id)}/replay`);
+  assert.equal(replayed.status, 200);
+  assert.equal(replayed.json.status, "delivered");
+  assert.equal(replayed.json.payload.data.jobId, "job_1");
+  assert.equal(receiver.requests.length, 3);
+  assert.equal(new Set(receiver.requests.map(r => r.body)).size, 1);
+
+  const audit = await app.admin("GET", "/audit");
+  assert.ok(audit.json.some(entry => entry.action === "callback.replay" && entry.id === id));
+  assert.equal((await app.admin("POST", "/callbacks/nope/replay")).status, 404);
+});
+
+test("callbacks are off without CALLBACK_URL and limited to CALLBACK_EVENTS", async t => {
+  const off = await startServer(t);
+  await off.purchase({ items: [{ price: "price_featured" }] });
+  const none = await off.admin("GET", "/callbacks");
+  assert.equal(none.json.enabled, false);
+  assert.deepEqual(none.json.deliveries, []);
+  assert.equal((await off.admin("POST", "/callbacks/x/replay")).status, 409);
+
+  const { app, receiver } = await startWithCallbacks(t, { CALLBACK_EVENTS: "purchase.refunded" });
+  const session = await app.purchase({ items: [{ price: "price_featured" }] });
+  await app.webhook("charge.refunded", app.payments.refund(session.payment_intent));
+  const [refund] = await deliveries(app, list => list[0]?.status === "delivered");
+  assert.equal(refund.type, "purchase.refunded");
+  assert.equal(receiver.requests.length, 1);
+});
@@ -0,0 +1,208 @@
+// test/checkout.test.js
+// GET/POST /checkout, /checkout/session/:id and /prices against the fake provider.
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { stripeIdempotencyKey } from "../lib/idempotency.js";
+import { sessionIdFrom, startServer } from "./helpers.js";
+
+test("GET /prices describes each configured product in the visitor's currency", async t => {
+  const app = await startServer(t);
+
+  const gbp = await app.get("/prices");
+  assert.equal(gbp.status, 200);
+  assert.deepEqual(Object.keys(gbp.json), ["prod_featured", "prod_highlight"]);
+  assert.equal(gbp.json.prod_featured.unit_amount, 2900);
+  assert.equal(gbp.json.prod_featured.currency, "gbp");
+
+  const usd = await app.get("/prices?currency=usd");
+  assert.equal(usd.json.prod_featured.unit_amount, 3500);
+  // Not sold in USD - falls back to the price's own currency
+  assert.equal(usd.json.prod_highlight.currency, "gbp");
+});
+
+test("a ?currency= or body currency that isn't a currency code is a 400", async t => {
+  const app = await startServer(t);
+
+  for (const path of ["/prices?currency=usd&currency=eur", "/prices?currency=dollars", "/pricing-widget?currency[x]=usd"]) {
+    const res = await app.get(path);
+    assert.equal(res.status, 400, path);
+    assert.equal(res.json.code, "invalid_request");
+  }
+  const upgrade = await app.post("/checkout/upgrade", { token: app.token(), currency: 5 });
+  assert.equal(upgrade.status, 400);
+  assert.equal((await app.get("/prices?currency=%20USD%20")).json.prod_featured.unit_amount, 3500);
+
+  assert.deepEqual((await app.admin("GET", "/errors")).json, []);
+});
+
+test("GET /prices reports products the provider could not load", async t => {
+  const app = await startServer(t);
+  app.payments.fail("retrieveProduct", { code: "resource_missing", message: "No such product" });
+
+  const res = await app.get("/prices");
+  assert.equal(res.status, 200);
+  assert.equal(res.json.prod_featured.error, "No such product");
+  assert.equal(res.json.prod_highlight.unit_amount, 1900);
+});
+
+test("GET /checkout redirects to a session for the cart", async t => {
+  const app = await startServer(t);
+
+  const res = await app.get(`/checkout?pid=price_featured,price_highlight&token=${app.token()}`);
+  assert.equal(res.status, 303);
+  const session = app.payments.sessions().find(s => s.id === sessionIdFrom(res.headers.get("location")));
+  assert.equal(session.amount_total, 4800);
+  assert.equal(session.customer_email, "recruiter@example.com");
+  assert.equal(session.metadata.jobId, "job_1");
+  assert.equal(session.metadata.source, "golf-jobs-upgrade");
+  assert.match(session.success_url, /session_id=\{CHECKOUT_SESSION_ID\}$/);
+});
+
+test("checkout routes need a valid token", async t => {
+  const app = await startServer(t);
+
+  assert.equal((await app.get("/checkout?pid=price_featured")).status, 401);
+  assert.equal((await app.get("/checkout?pid=price_featured&token=nope")).status, 401);
+  const expired = app.token({ ttlSeconds: -120 });
+  assert.equal((await app.post("/checkout", { token: expired, items: ["price_featured"] })).status, 401);
+});
+
+test("POST /checkout validates the cart", async t => {
+  const app = await startServer(t);
+  const token = app.token();
+
+  const unknown = await app.post("/checkout", { token, items: [{ price: "price_nope" }] });
+  assert.equal(unknown.status, 400);
+  assert.equal(unknown.json.error, "Price not available for checkout");
+
+  const twice = await app.post("/checkout", { token, items: [{ price: "price_featured", quantity: 2 }] });
+  assert.equal(twice.status, 400);
+  assert.equal(twice.json.error, "Each upgrade can only be bought once per job");
+
+  const overlap = await app.post("/checkout", { token, items: ["price_bundle", "price_featured"] });
+  assert.equal(overlap.status, 400);
+  assert.match(overlap.json.error, /already includes Featured Job/);
+
+  const redirect = await app.post("/checkout", { token, items: ["price_featured"], success: "https://evil.example/x" });
+  assert.equal(redirect.status, 400);
+  assert.equal(redirect.json.error, "Redirect URL not allowed");
+
+  for (const currency of [5, ["usd"], "pounds"]) {
+    const bad = await app.post("/checkout", { token, items: ["price_featured"], currency });
+    assert.equal(bad.status, 400);
+    assert.equal(bad.json.code, "invalid_request");
+  }
+  const repeated = await app.get(`/checkout?pid=price_featured&currency=usd&currency=eur&token=${token}`);
+  assert.equal(repeated.status, 400);
+
+  assert.equal(app.payments.sessions().length, 0);
+  const errors = await app.admin("GET", "/errors");
+  assert.deepEqual(errors.json, []);
+});
+
+test("POST /checkout refuses upgrades the job already has", async t => {
+  const app = await startServer(t);
+  await app.purchase({ items: [{ price: "price_bundle" }] });
+
+  const res = await app.post("/checkout", { token: app.token(), items: ["price_featured"] });
+  assert.equal(res.status, 400);
+  assert.equal(res.json.error, "This job already has Max Visibility");
+
+  // A different job is fine
+  const other = await app.post("/checkout", { token: app.token({ jobId: "job_2" }), items: ["price_featured"] });
+  assert.equal(other.status, 200);
+});
+
+test("POST /checkout replays a repeated request instead of creating a second session", async t => {
+  const app = await startServer(t);
+  const body = { token: app.token(), items: ["price_featured"] };
+
+  const first = await app.post("/checkout", body, { headers: { "Idempotency-Key": "click-1" } });
+  const second = await app.post("/checkout", body, { headers: { "Idempotency-Key": "click-1" } });
+  assert.equal(first.status, 200);
+  assert.equal(second.headers.get("idempotent-replayed"), "true");
+  assert.equal(second.json.id, first.json.id);
+
+  const changed = await app.post("/checkout", { ...body, items: ["price_highlight"] }, { headers: { "Idempotency-Key": "click-1" } });
+  assert.equal(changed.status, 409);
+  assert.equal(app.payments.sessions().length, 1);
+});
+
+test("the same cart after the replay window gets a new session, not Stripe's cached one", async t => {
+  const app = await startServer(t, { env: { IDEMPOTENCY_WINDOW_SECONDS: "1" } });
+  const body = { token: app.token(), items: ["price_featured"] };
+
+  const first = await app.post("/checkout", body);
+  assert.equal((await app.post("/checkout", body)).json.id, first.json.id);
+  await new Promise(resolve => setTimeout(resolve, 1100));
+  const later = await app.post("/checkout", body);
+  assert.equal(later.status, 200);
+  assert.notEqual(later.json.id, first.json.id);
+
+  // With replays off every request is its own
+  const off = await startServer(t, { env: { IDEMPOTENCY_WINDOW_SECONDS: "0" } });
+  const offBody = { token: off.token(), items: ["price_featured"] };
+  assert.notEqual((await off.post("/checkout", offBody)).json.id, (await off.post("/checkout", offBody)).json.id);
+
+  // The request ID traced in metadata doesn't change the Stripe key
+  const params = { mode: "payment", metadata: { jobId: "job_1" } };
+  assert.equal(
+    stripeIdempotencyKey("cart-checkout", "k", params),
+    stripeIdempotencyKey("cart-checkout", "k", { ...params, metadata: { ...params.metadata, requestId: "edge-req-0003" } })
+  );
+});
+
+test("POST /checkout surfaces provider failures without caching them", async t => {
+  const app = await startServer(t);
+  const body = { token: app.token(), items: ["price_featured"] };
+
+  app.payments.fail("createCheckoutSession", { type: "StripeInvalidRequestError", message: "Currency not supported" });
+  const rejected = await app.post("/checkout", body);
+  assert.equal(rejected.status, 400);
+  assert.equal(rejected.json.error, "Invalid request to Stripe");
+
+  app.payments.fail("createCheckoutSession", { type: "StripeAPIError", message: "Stripe is down" });
+  const down = await app.post("/checkout", body);
+  assert.equal(down.status, 500);
+
+  const retried = await app.post("/checkout", body);
+  assert.equal(retried.status, 200);
+  assert.ok(retried.json.url);
+
+  const errors = await app.admin("GET", "/errors");
+  assert.equal(errors.json.length, 2);
+});
+
+test("plans check out in subscription mode, on their own", async t => {
+  const app = await startServer(t, { env: { SUBSCRIPTION_PRICE_IDS: "price_plan" } });
+  const token = app.token();
+
+  const mixed = await app.post("/checkout", { token, items: ["price_plan", "price_featured"] });
+  assert.equal(mixed.status, 400);
+
+  const res = await app.post("/checkout", { token, items: ["price_plan"] });
+  assert.equal(res.status, 200);
+  const session = app.payments.sessions().find(s => s.id === res.json.id);
+  assert.equal(session.mode, "subscription");
+  assert.equal(session.metadata.source, "golf-jobs-subscription");
+});
+
+test("GET /checkout/session/:id summarises our sessions only", async t => {
+  const app = await startServer(t);
+
+  const created = await app.post("/checkout", { token: app.token(), items: ["price_featured"] });
+  await app.pay(created.json.id);
+
+  const res = await app.get(`/checkout/session/${created.json.id}`);
+  assert.equal(res.status, 200);
+  assert.equal(res.json.paymentStatus, "paid");
+  assert.equal(res.json.amountPaid, 2900);
+  assert.equal(res.json.email, "re***@e***.com");
+  assert.deepEqual(res.json.lineItems.map(item => item.productId), ["prod_featured"]);
+
+  assert.equal((await app.get("/checkout/session/not-a-session")).status, 404);
+  assert.equal((await app.get("/checkout/session/cs_test_missing")).status, 404);
+
+  const foreign = app.payments.addPurchase({ email: "x@example.com", items: [{ price: "price_featured" }], source: "somewhere-else" });
+  assert.equal((await app.get(`/checkout/session/${foreign.id}`)).status, 404);
+});
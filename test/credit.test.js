@@ -0,0 +1,273 @@
+// test/credit.test.js
+// POST /checkout/upgrade (and the /checkout/credit alias): how much earlier
+// purchases count towards a tier, and every way that credit gets capped.
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { startServer, writeLadder } from "./helpers.js";
+
+function sessionFor(app, res) {
+  return app.payments.sessions().find(session => session.url === res.json.url);
+}
+
+test("without earlier purchases the tier is charged in full", async t => {
+  const app = await startServer(t);
+
+  const res = await app.post("/checkout/upgrade", { token: app.token() });
+  assert.equal(res.status, 200);
+  assert.equal(res.json.tier, "bundle");
+  assert.equal(res.json.credit, 0);
+  assert.equal(res.json.balance, 3900);
+  assert.equal(sessionFor(app, res).amount_total, 3900);
+  assert.equal(app.payments.coupons().length, 0);
+});
+
+test("an earlier single upgrade becomes a one-off code for the bundle only", async t => {
+  const app = await startServer(t);
+  await app.purchase({ items: [{ price: "price_featured" }] });
+
+  const res = await app.post("/checkout/credit", { token: app.token() });
+  assert.equal(res.status, 200);
+  assert.equal(res.json.credit, 2900);
+  assert.equal(res.json.balance, 1000);
+  assert.deepEqual(res.json.creditBreakdown.map(row => row.productId), ["prod_featured"]);
+
+  const [coupon] = app.payments.coupons();
+  assert.equal(coupon.amount_off, 2900);
+  assert.deepEqual(coupon.applies_to, { products: ["prod_bundle"] });
+
+  const session = sessionFor(app, res);
+  assert.equal(session.amount_total, 1000);
+  assert.equal(session.metadata.credit_applied, "2900");
+  assert.equal(session.metadata.source, "credit-checkout");
+});
+
+test("credit is capped at the tier's price - nothing left to pay skips checkout", async t => {
+  const app = await startServer(t);
+  await app.purchase({ items: [{ price: "price_featured" }, { price: "price_highlight" }] });
+
+  const res = await app.post("/checkout/upgrade", { token: app.token() });
+  assert.equal(res.status, 200);
+  assert.equal(res.json.alreadyCovered, true);
+  assert.equal(res.json.redirectUrl, app.config.redirectProfiles.account.success);
+  assert.equal(app.payments.sessions().length, 1); // just the earlier purchase
+  assert.equal(app.payments.coupons().length, 0);
+});
+
+test("credit is capped at the tier's maxCredit in the checkout currency", async t => {
+  const ladder = writeLadder(t, {
+    tiers: [
+      { id: "featured", productId: "prod_featured" },
+      { id: "highlight", productId: "prod_highlight" },
+      { id: "max", priceId: "price_bundle", creditFrom: ["featured", "highlight"], maxCredit: { gbp: 2000 } },
+    ],
+  });
+  const app = await startServer(t, { env: { UPGRADE_TIERS: ladder } });
+  await app.purchase({ items: [{ price: "price_featured" }] });
+
+  const gbp = await app.post("/checkout/upgrade", { token: app.token(), tier: "max" });
+  assert.equal(gbp.json.credit, 2000);
+  assert.equal(gbp.json.balance, 1900);
+
+  // No cap configured for USD, and no rate to convert the GBP purchase either
+  const usd = await app.post("/checkout/upgrade?currency=usd", { token: app.token(), tier: "max" });
+  assert.equal(usd.json.currency, "usd");
+  assert.equal(usd.json.credit, 0);
+  assert.equal(usd.json.balance, 4900);
+});
+
+test("manual credit only counts towards tiers that take credit", async t => {
+  const ladder = writeLadder(t, {
+    tiers: [
+      { id: "featured", productId: "prod_featured", priceId: "price_featured" },
+      { id: "max", priceId: "price_bundle", creditFrom: ["featured"] },
+    ],
+  });
+  const app = await startServer(t, { env: { UPGRADE_TIERS: ladder } });
+  const granted = await app.admin("POST", "/jobs/job_1/credit", { email: "recruiter@example.com", amount: 5000, reason: "goodwill" });
+  assert.equal(granted.status, 201);
+
+  const single = await app.post("/checkout/upgrade", { token: app.token(), tier: "featured" });
+  assert.equal(single.json.alreadyCovered, undefined);
+  assert.equal(single.json.credit, 0);
+  assert.equal(single.json.balance, 2900);
+
+  const bundle = await app.post("/checkout/upgrade", { token: app.token(), tier: "max" });
+  assert.equal(bundle.json.alreadyCovered, true);
+
+  const customer = await app.admin("GET", "/customers?email=recruiter@example.com");
+  assert.deepEqual(customer.json.credit[0].tiers.map(tier => tier.tier), ["max"]);
+});
+
+test("refunds and open disputes come off the credit", async t => {
+  const app = await startServer(t);
+  const purchase = await app.purchase({ items: [{ price: "price_featured" }] });
+
+  const charge = app.payments.refund(purchase.payment_intent, 1000);
+  assert.equal((await app.webhook("charge.refunded", charge)).status, 200);
+  const refunded = await app.post("/checkout/upgrade", { token: app.token() }, { headers: { "Idempotency-Key": "after-refund" } });
+  assert.equal(refunded.json.credit, 1900);
+
+  const disputed = app.payments.dispute(purchase.payment_intent, { amount: 1900 });
+  assert.equal((await app.webhook("charge.dispute.created", disputed.dispute)).status, 200);
+  const none = await app.post("/checkout/upgrade", { token: app.token() }, { headers: { "Idempotency-Key": "after-dispute" } });
+  assert.equal(none.json.credit, 0);
+  assert.equal(none.json.balance, 3900);
+});
+
+test("a full refund downgrades the job and removes its credit", async t => {
+  const app = await startServer(t);
+  const purchase = await app.purchase({ items: [{ price: "price_featured" }] });
+  assert.deepEqual((await app.get("/entitlements?jobId=job_1")).json.upgrades, ["prod_featured"]);
+
+  const charge = app.payments.refund(purchase.payment_intent);
+  assert.equal((await app.webhook("charge.refunded", charge)).status, 200);
+
+  assert.deepEqual((await app.get("/entitlements?jobId=job_1")).json.upgrades, []);
+  const customer = await app.admin("GET", "/customers?email=recruiter@example.com");
+  const job = customer.json.jobs.job_1;
+  assert.equal(job.status, "downgraded");
+  assert.deepEqual(job.history.map(entry => entry.status), ["upgraded", "downgraded"]);
+  const res = await app.post("/checkout/upgrade", { token: app.token() });
+  assert.equal(res.json.credit, 0);
+});
+
+test("a refund or failed payment leaves the job upgraded while another session's upgrade is live", async t => {
+  const app = await startServer(t);
+  const featured = await app.purchase({ jobId: "job_2", items: [{ price: "price_featured" }] });
+  await app.purchase({ jobId: "job_2", items: [{ price: "price_highlight" }] });
+  const jobStatus = async () => (await app.admin("GET", "/customers?email=recruiter@example.com")).json.jobs.job_2.status;
+
+  assert.equal((await app.webhook("charge.refunded", app.payments.refund(featured.payment_intent))).status, 200);
+  assert.deepEqual((await app.get("/entitlements?jobId=job_2")).json.upgrades, ["prod_highlight"]);
+  assert.equal(await jobStatus(), "upgraded");
+
+  // A delayed payment for another upgrade that then fails
+  const pending = await app.post("/checkout", { token: app.token({ jobId: "job_2" }), items: ["price_bundle"] });
+  const session = app.payments.sessions().find(s => s.id === pending.json.id);
+  assert.equal((await app.webhook("checkout.session.async_payment_failed", session)).status, 200);
+  assert.equal(await jobStatus(), "upgraded");
+});
+
+test("revoked credit stays revoked when the session is fulfilled again", async t => {
+  const app = await startServer(t);
+  const purchase = await app.purchase({ items: [{ price: "price_featured" }] });
+  const creditNow = async key =>
+    (await app.post("/checkout/upgrade", { token: app.token() }, { headers: { "Idempotency-Key": key } })).json.credit;
+  assert.equal(await creditNow("before"), 2900);
+
+  assert.equal((await app.admin("DELETE", "/jobs/job_1/credit", {})).status, 400);
+  const revoked = await app.admin("DELETE", "/jobs/job_1/credit", { reason: "chargeback on another card" });
+  assert.deepEqual(revoked.json, { jobId: "job_1", revoked: 1 });
+  assert.equal(await creditNow("revoked"), 0);
+
+  assert.equal((await app.admin("POST", `/sessions/${purchase.id}/fulfil`)).status, 200);
+  assert.equal(await creditNow("refulfilled"), 0);
+});
+
+test("purchases in another currency only count with a conversion rate", async t => {
+  const withoutRates = await startServer(t);
+  await withoutRates.purchase({ items: [{ price: "price_featured" }], currency: "usd" });
+  const none = await withoutRates.post("/checkout/upgrade", { token: withoutRates.token() });
+  assert.equal(none.json.currency, "gbp");
+  assert.equal(none.json.credit, 0);
+
+  const withRates = await startServer(t, { env: { CURRENCY_RATES: "gbp=1,usd=1.25" } });
+  await withRates.purchase({ items: [{ price: "price_featured" }], currency: "usd" });
+  const converted = await withRates.post("/checkout/upgrade", { token: withRates.token() });
+  assert.equal(converted.json.credit, 2800); // $35.00 / 1.25
+  assert.equal(converted.json.balance, 1100);
+});
+
+test("per-job credit only counts that job's purchases", async t => {
+  const app = await startServer(t, { env: { CREDIT_SCOPE: "job" } });
+  await app.purchase({ jobId: "job_1", items: [{ price: "price_featured" }] });
+
+  const sameJob = await app.post("/checkout/upgrade", { token: app.token({ jobId: "job_1" }) });
+  assert.equal(sameJob.json.credit, 2900);
+
+  const otherJob = await app.post("/checkout/upgrade", { token: app.token({ jobId: "job_2" }) });
+  assert.equal(otherJob.json.credit, 0);
+
+  const noJob = await app.post("/checkout/upgrade", { token: app.token({ jobId: null }) });
+  assert.equal(noJob.status, 400);
+});
+
+test("per-job credit codes don't retire another job's open checkout code", async t => {
+  const app = await startServer(t, { env: { CREDIT_SCOPE: "job" } });
+  await app.purchase({ jobId: "job_1", items: [{ price: "price_featured" }] });
+  await app.purchase({ jobId: "job_2", items: [{ price: "price_highlight" }] });
+
+  const first = await app.post("/checkout/upgrade", { token: app.token({ jobId: "job_1" }) });
+  const second = await app.post("/checkout/upgrade", { token: app.token({ jobId: "job_2" }) });
+  assert.deepEqual([first.json.credit, second.json.credit], [2900, 1900]);
+  assert.equal(app.payments.promotionCodes().filter(code => code.active).length, 2);
+
+  const cleanup = await app.admin("POST", "/coupons/cleanup");
+  assert.deepEqual(cleanup.json, { deleted: 0, redeemed: 0, kept: 2 });
+});
+
+test("a repeat checkout reuses the customer's unredeemed code", async t => {
+  const app = await startServer(t);
+  await app.purchase({ items: [{ price: "price_featured" }] });
+
+  const first = await app.post("/checkout/upgrade", { token: app.token() }, { headers: { "Idempotency-Key": "first" } });
+  const second = await app.post("/checkout/upgrade", { token: app.token() }, { headers: { "Idempotency-Key": "second" } });
+  assert.notEqual(first.json.url, second.json.url);
+  assert.equal(app.payments.coupons().length, 1);
+  assert.deepEqual(sessionFor(app, first).discounts, sessionFor(app, second).discounts);
+
+  // Paying with it uses it up, so the next checkout for another job gets a new one
+  await app.pay(sessionFor(app, first).id);
+  const later = await app.post("/checkout/upgrade", { token: app.token({ jobId: "job_2" }) });
+  assert.equal(later.status, 200);
+  assert.notDeepEqual(sessionFor(app, later).discounts, sessionFor(app, first).discounts);
+  assert.equal(app.payments.promotionCodes().filter(code => code.active).length, 1);
+});
+
+test("coupon cleanup deletes superseded codes, counts redeemed ones and keeps live ones", async t => {
+  const app = await startServer(t);
+  const purchase = await app.purchase({ items: [{ price: "price_featured" }] });
+  await app.post("/checkout/upgrade", { token: app.token() }, { headers: { "Idempotency-Key": "full" } });
+  const [superseded] = app.payments.coupons();
+
+  // A partial refund changes the credit, so the next checkout replaces the code - and is paid
+  await app.webhook("charge.refunded", app.payments.refund(purchase.payment_intent, 1000));
+  const redeemed = await app.post("/checkout/upgrade", { token: app.token() }, { headers: { "Idempotency-Key": "partial" } });
+  assert.equal(redeemed.json.credit, 1900);
+  await app.pay(sessionFor(app, redeemed).id);
+
+  // Someone else's code is still waiting to be used
+  await app.purchase({ email: "other@example.com", jobId: "job_2", items: [{ price: "price_featured" }] });
+  await app.post("/checkout/upgrade", { token: app.token({ email: "other@example.com", jobId: "job_2" }) });
+  assert.equal(app.payments.coupons().length, 3);
+
+  const cleanup = await app.admin("POST", "/coupons/cleanup");
+  assert.deepEqual(cleanup.json, { deleted: 1, redeemed: 1, kept: 1 });
+  assert.equal(app.payments.coupons().length, 2);
+  assert.ok(!app.payments.coupons().some(coupon => coupon.id === superseded.id));
+
+  const again = await app.admin("POST", "/coupons/cleanup");
+  assert.deepEqual(again.json, { deleted: 0, redeemed: 1, kept: 1 });
+  const audit = (await app.admin("GET", "/audit")).json.filter(entry => entry.action === "coupons.cleanup");
+  assert.equal(audit.length, 2);
+});
+
+test("unknown tiers and provider failures are reported", async t => {
+  const app = await startServer(t);
+  await app.purchase({ items: [{ price: "price_featured" }] });
+
+  const unknown = await app.post("/checkout/upgrade", { token: app.token(), tier: "platinum" });
+  assert.equal(unknown.status, 400);
+  assert.equal(unknown.json.error, "Unknown upgrade tier");
+
+  app.payments.fail("createCoupon", { type: "StripeAPIError", message: "Stripe is down" });
+  const down = await app.post("/checkout/upgrade", { token: app.token() });
+  assert.equal(down.status, 500);
+  assert.equal(down.json.details, "Stripe is down");
+  assert.equal(app.payments.sessions().length, 1);
+
+  app.payments.fail("createCheckoutSession", { type: "StripeCardError", message: "Card declined" });
+  const declined = await app.post("/checkout/upgrade", { token: app.token() });
+  assert.equal(declined.status, 400);
+  assert.equal(declined.json.error, "Payment method issue");
+});
@@ -0,0 +1,102 @@
+// test/funnel.test.js
+// Funnel tracking: /prices, checkouts created (plain and credit), completed,
+// expired and refunded, and GET /reports/funnel as JSON and CSV.
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { ADMIN_TOKEN, sessionIdFrom, startServer } from "./helpers.js";
+
+const auth = { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } };
+
+// Four price lookups; a paid-then-refunded cart, an abandoned one, and an
+// employer with a single upgrade paying the difference for the bundle
+async function runFunnel(app) {
+  for (let i = 0; i < 4; i++) await app.get("/prices");
+
+  const paid = await app.post("/checkout", { token: app.token(), items: ["price_featured"] });
+  const session = await app.pay(paid.json.id);
+  const abandoned = await app.post("/checkout", { token: app.token({ jobId: "job_2" }), items: ["price_highlight"] });
+  await app.webhook("checkout.session.expired", app.payments.expireSession(abandoned.json.id));
+
+  const employer = { email: "club@example.com", jobId: "job_3" };
+  await app.purchase({ ...employer, items: [{ price: "price_featured" }] });
+  const upgrade = await app.post("/checkout/upgrade", { token: app.token(employer) });
+  await app.pay(sessionIdFrom(upgrade.json.url));
+
+  await app.webhook("charge.refunded", app.payments.refund(session.payment_intent));
+}
+
+test("the funnel report follows checkouts from prices to refunds", async t => {
+  const app = await startServer(t);
+  await runFunnel(app);
+
+  const res = await app.get("/reports/funnel", auth);
+  assert.equal(res.status, 200);
+  const report = res.json;
+  assert.equal(report.pricesServed, 4);
+  assert.equal(report.checkoutRate, 0.75);
+
+  const { totals } = report;
+  assert.deepEqual(
+    { checkouts: totals.checkouts, plain: totals.plain, credit: totals.credit, completed: totals.completed, expired: totals.expired, refunded: totals.refunded },
+    { checkouts: 3, plain: 2, credit: 1, completed: 3, expired: 1, refunded: 1 }
+  );
+  assert.equal(totals.conversionRate, 0.667);
+  assert.equal(totals.expiryRate, 0.333);
+  assert.deepEqual(totals.revenue, { gbp: 6800 });
+  assert.deepEqual(totals.refunds, { gbp: 2900 });
+  assert.deepEqual(totals.netRevenue, { gbp: 3900 });
+  assert.deepEqual(totals.creditApplied, { gbp: 2900 });
+
+  // Employers with credit who bought the bundle, and what that brought in
+  const { creditUpgrades } = report;
+  assert.equal(creditUpgrades.employersOffered, 1);
+  assert.equal(creditUpgrades.employersBought, 1);
+  assert.deepEqual(creditUpgrades.revenue, { gbp: 1000 });
+  assert.deepEqual(Object.keys(creditUpgrades.byTier), ["bundle"]);
+
+  assert.equal(report.byProduct.prod_bundle.checkouts, 1);
+  assert.deepEqual(report.byProduct.prod_bundle.revenue, { gbp: 1000 });
+  assert.deepEqual(report.byProduct.prod_featured.revenue, { gbp: 5800 });
+  assert.deepEqual(report.byProduct.prod_featured.refunds, { gbp: 2900 });
+  assert.equal(report.byProduct.prod_highlight.expired, 1);
+  assert.deepEqual(Object.keys(report.bySource), ["credit-checkout", "golf-jobs-upgrade"]);
+
+  const today = report.byDay.at(-1);
+  assert.equal(report.byDay.length, 30);
+  assert.equal(today.date, report.to);
+  assert.equal(today.pricesServed, 4);
+  assert.equal(today.checkouts, 3);
+});
+
+test("the report filters by product, source and date, and exports CSV", async t => {
+  const app = await startServer(t);
+  await runFunnel(app);
+
+  const credit = await app.get("/reports/funnel?source=credit-checkout", auth);
+  assert.equal(credit.json.totals.checkouts, 1);
+  assert.equal(credit.json.checkoutRate, null);
+  const highlight = await app.get("/reports/funnel?product=prod_highlight", auth);
+  assert.equal(highlight.json.totals.checkouts, 1);
+  assert.equal(highlight.json.totals.conversionRate, 0);
+  const past = await app.get("/reports/funnel?from=2020-01-01&to=2020-01-31", auth);
+  assert.equal(past.json.totals.checkouts, 0);
+  assert.equal(past.json.pricesServed, 0);
+
+  const csv = await app.get("/reports/funnel?format=csv&by=product", auth);
+  assert.equal(csv.status, 200);
+  assert.match(csv.headers.get("content-type"), /text\/csv/);
+  assert.match(csv.headers.get("content-disposition"), /funnel-.*-by-product\.csv/);
+  const [header, ...rows] = csv.text.trim().split("\r\n").map(line => line.split(","));
+  const row = Object.fromEntries(header.map((column, i) => [column, rows.find(r => r[0] === "prod_featured")[i]]));
+  assert.equal(row.revenue_gbp, "58.00");
+  assert.equal(row.net_revenue_gbp, "29.00");
+  assert.equal(rows.length, 3);
+
+  assert.equal((await app.get("/reports/funnel")).status, 401);
+  assert.equal((await app.get("/reports/funnel?from=2024-02-30", auth)).status, 400);
+  assert.equal((await app.get("/reports/funnel?from=2024-03-02&to=2024-03-01", auth)).status, 400);
+  assert.equal((await app.get("/reports/funnel?format=csv&by=week", auth)).status, 400);
+
+  const audit = await app.admin("GET", "/audit");
+  assert.ok(audit.json.some(entry => entry.action === "report.funnel" && entry.source === "credit-checkout"));
+});
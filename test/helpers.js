@@ -0,0 +1,147 @@
+// test/helpers.js
+// Boots the app on a random port against the in-memory payment provider, with
+// its own DATA_DIR, and cleans up when the test ends.
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { once } from "node:events";
+import { createApp } from "../app.js";
+import { loadConfig } from "../lib/config.js";
+import { createFakeProvider } from "../lib/payments/fake.js";
+import { signCheckoutToken } from "../lib/tokens.js";
+
+export const TOKEN_SECRET = "test-checkout-secret";
+export const WEBHOOK_SECRET = "whsec_test";
+export const ADMIN_TOKEN = "test-admin-token";
+
+export const BASE_ENV = {
+  STRIPE_SECRET_KEY: "sk_test_fake",
+  STRIPE_WEBHOOK_SECRET: WEBHOOK_SECRET,
+  CHECKOUT_TOKEN_SECRET: TOKEN_SECRET,
+  ADMIN_TOKEN,
+  PRODUCT_IDS: "prod_featured,prod_highlight",
+  SINGLE_UPGRADE_PRODUCT_IDS: "prod_featured,prod_highlight",
+  BUNDLE_PRICE_ID: "price_bundle",
+  DEFAULT_CURRENCY: "gbp",
+  RATE_LIMIT_PER_IP: "0",
+  RATE_LIMIT_PER_EMAIL: "0",
+  ENTITLEMENT_SWEEP_MINUTES: "0",
+  COUPON_CLEANUP_HOURS: "0",
+  LOG_LEVEL: "silent",
+};
+
+// Singles add up to more than the bundle, so credit can exceed its price
+export function seedCatalogue(payments) {
+  payments.addProduct({
+    id: "prod_featured",
+    name: "Featured Job",
+    description: "Top of the search results",
+    prices: [{ id: "price_featured", unit_amount: 2900, currency_options: { usd: 3500 } }],
+  });
+  payments.addProduct({
+    id: "prod_highlight",
+    name: "Highlighted Job",
+    prices: [{ id: "price_highlight", unit_amount: 1900 }],
+  });
+  payments.addProduct({
+    id: "prod_bundle",
+    name: "Max Visibility",
+    prices: [{ id: "price_bundle", unit_amount: 3900, currency_options: { usd: 4900 } }],
+  });
+  payments.addProduct({
+    id: "prod_plan",
+    name: "Recruiter Plan",
+    prices: [{ id: "price_plan", unit_amount: 9900, recurring: { interval: "month" } }],
+  });
+}
+
+// startServer(t, { env, seed }) -> helpers for talking to a fresh app
+export async function startServer(t, { env = {}, seed = seedCatalogue } = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "upsell-test-"));
+  process.env.DATA_DIR = dataDir;
+
+  const payments = createFakeProvider();
+  seed(payments);
+
+  const { config, problems } = loadConfig({ ...BASE_ENV, ...env });
+  const { app, checkReadiness, sweepEntitlements, close } = await createApp({ config, configProblems: problems, payments });
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  t.after(async () => {
+    server.close();
+    server.closeAllConnections();
+    await close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  async function request(method, urlPath, { body, headers = {}, redirect = "manual" } = {}) {
+    const res = await fetch(base + urlPath, {
+      method,
+      redirect,
+      headers: body === undefined ? headers : { "Content-Type": "application/json", ...headers },
+      body: body === undefined ? undefined : typeof body === "string" ? body : JSON.stringify(body),
+    });
+    const text = await res.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      // HTML pages and scripts
+    }
+    return { status: res.status, headers: res.headers, json, text };
+  }
+
+  const helpers = {
+    base,
+    config,
+    payments,
+    checkReadiness,
+    sweepEntitlements,
+
+    token: ({ email = "recruiter@example.com", jobId = "job_1", ttlSeconds } = {}) =>
+      signCheckoutToken({ email, jobId, ttlSeconds }, TOKEN_SECRET),
+
+    get: (urlPath, options) => request("GET", urlPath, options),
+    post: (urlPath, body, options) => request("POST", urlPath, { ...options, body }),
+    patch: (urlPath, body, options) => request("PATCH", urlPath, { ...options, body }),
+    delete: (urlPath, body, options) => request("DELETE", urlPath, { ...options, body }),
+    admin: (method, urlPath, body) =>
+      request(method, `/admin${urlPath}`, { body, headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } }),
+
+    // Deliver a signed webhook event
+    webhook(type, object, { secret = WEBHOOK_SECRET } = {}) {
+      const { body, signature } = payments.webhook(type, object, secret);
+      return request("POST", "/webhooks/stripe", { body, headers: { "Stripe-Signature": signature } });
+    },
+
+    // A past purchase, fulfilled through the webhook like a real one
+    async purchase({ email = "recruiter@example.com", jobId = "job_1", items, currency } = {}) {
+      const session = payments.addPurchase({ email, jobId, items, currency });
+      const res = await helpers.webhook("checkout.session.completed", session);
+      if (res.status !== 200) throw new Error(`Fulfilment webhook failed: ${res.status} ${res.text}`);
+      return session;
+    },
+
+    // Pay a session the app created and deliver checkout.session.completed
+    async pay(sessionId, { email } = {}) {
+      const session = payments.completeSession(sessionId, { email });
+      await helpers.webhook("checkout.session.completed", session);
+      return session;
+    },
+  };
+  return helpers;
+}
+
+export function sessionIdFrom(url) {
+  return url.split("/").pop();
+}
+
+// A ladder file for UPGRADE_TIERS, removed when the test ends
+export function writeLadder(t, ladder) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "upsell-ladder-")), "tiers.json");
+  fs.writeFileSync(file, JSON.stringify(ladder));
+  t.after(() => fs.rmSync(path.dirname(file), { recursive: true, force: true }));
+  return file;
+}
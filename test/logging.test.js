@@ -0,0 +1,144 @@
+// test/logging.test.js
+// Structured logs and the error envelope: request IDs from X-Request-Id into the
+// logs and Stripe metadata, emails and promotion codes hashed, and stable error
+// codes on every error response.
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { loadConfig } from "../lib/config.js";
+import { describeError, HttpError } from "../lib/errors.js";
+import { configureLogger, log } from "../lib/logger.js";
+import { providerError } from "../lib/payments/fake.js";
+import { hashForLog } from "../lib/redact.js";
+import { BASE_ENV, startServer } from "./helpers.js";
+
+// Log lines as parsed objects, at debug level for the rest of the test
+function captureLogs(t) {
+  const lines = [];
+  configureLogger({ level: "debug", write: line => lines.push(JSON.parse(line)) });
+  t.after(() => configureLogger({ level: "silent" }));
+  return lines;
+}
+
+test("log lines hash emails and promotion codes and keep Stripe errors small", t => {
+  const lines = captureLogs(t);
+  const error = providerError({ type: "StripeCardError", code: "card_declined", message: "Card of jane@example.com declined" });
+  error.requestId = "req_stripe_1";
+  error.headers = { "request-id": "req_stripe_1" };
+
+  log.info("Reminder sent to jane@example.com", {
+    email: "Jane@Example.com",
+    promotionCode: "CREDIT29",
+    checkoutToken: "eyJhbGciOi",
+    error,
+  });
+  log.debug("Kept at debug");
+  configureLogger({ level: "warn" });
+  log.info("Filtered out");
+
+  assert.equal(lines.length, 2);
+  const [line] = lines;
+  const text = JSON.stringify(line);
+  assert.doesNotMatch(text, /jane@example\.com|CREDIT29|eyJhbGciOi/i);
+  assert.equal(line.level, "info");
+  assert.equal(line.msg, `Reminder sent to ${hashForLog("jane@example.com")}`);
+  assert.equal(line.email, hashForLog("jane@example.com"));
+  assert.equal(line.promotionCode, hashForLog("CREDIT29"));
+  assert.equal(line.checkoutToken, "[redacted]");
+  assert.deepEqual(line.error, {
+    type: "StripeCardError",
+    code: "card_declined",
+    statusCode: 500,
+    message: `Card of ${hashForLog("jane@example.com")} declined`,
+    stripeRequestId: "req_stripe_1",
+  });
+
+  assert.ok(loadConfig({ ...BASE_ENV, LOG_LEVEL: "loud" }).problems.some(p => p.setting === "LOG_LEVEL"));
+});
+
+test("each request gets an ID that reaches its log lines and Stripe metadata", async t => {
+  const app = await startServer(t);
+  const lines = captureLogs(t);
+
+  const res = await app.post(
+    "/checkout",
+    { token: app.token(), items: ["price_featured"] },
+    { headers: { "X-Request-Id": "edge-req-0001" } }
+  );
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("x-request-id"), "edge-req-0001");
+  const session = app.payments.sessions().find(s => s.id === res.json.id);
+  assert.equal(session.metadata.requestId, "edge-req-0001");
+
+  const created = lines.find(line => line.msg === "Checkout session created");
+  assert.equal(created.requestId, "edge-req-0001");
+  assert.equal(created.sessionId, res.json.id);
+  const request = lines.find(line => line.msg === "request");
+  assert.deepEqual(
+    { method: request.method, path: request.path, status: request.status, requestId: request.requestId },
+    { method: "POST", path: "/checkout", status: 200, requestId: "edge-req-0001" }
+  );
+
+  // Unusable IDs are replaced; credit checkouts tag the customer too
+  const upgrade = await app.post("/checkout/upgrade", { token: app.token({ email: "new@example.com" }) }, {
+    headers: { "X-Request-Id": "bad id" },
+  });
+  const id = upgrade.headers.get("x-request-id");
+  assert.match(id, /^[0-9a-f-]{36}$/);
+  const customer = app.payments.calls.find(call => call.method === "createCustomer").args[0];
+  assert.equal(customer.metadata.requestId, id);
+  assert.doesNotMatch(JSON.stringify(lines), /recruiter@example\.com|new@example\.com/);
+  // Upgrade lines name the Stripe customer, not even a hashed email
+  const worked = lines.find(line => line.msg === "Credit worked out");
+  assert.match(worked.customer, /^cus_/);
+  for (const msg of ["Processing upgrade checkout", "Credit worked out"]) {
+    assert.ok(!("email" in lines.find(line => line.msg === msg)), msg);
+  }
+});
+
+test("error responses share one envelope with a stable code", async t => {
+  const app = await startServer(t);
+  const headers = { "X-Request-Id": "edge-req-0002" };
+
+  const missing = await app.get("/checkout/session/cs_test_nope", { headers });
+  assert.equal(missing.status, 404);
+  assert.deepEqual(missing.json, { error: "Checkout session not found", code: "not_found", requestId: "edge-req-0002" });
+
+  const unsigned = await app.post("/checkout", { items: ["price_featured"] });
+  assert.equal(unsigned.status, 401);
+  assert.equal(unsigned.json.code, "unauthorized");
+  assert.equal(unsigned.json.requestId, unsigned.headers.get("x-request-id"));
+
+  const badJson = await app.post("/checkout", "{", { headers });
+  assert.equal(badJson.status, 400);
+  assert.equal(badJson.json.code, "invalid_json");
+
+  const body = { token: app.token(), items: ["price_featured"] };
+  app.payments.fail("createCheckoutSession", { type: "StripeInvalidRequestError", message: "Currency not supported" });
+  const rejected = await app.post("/checkout", body, { headers });
+  assert.equal(rejected.status, 400);
+  assert.equal(rejected.json.code, "payment_request_rejected");
+  assert.equal(rejected.json.details, "Currency not supported");
+
+  app.payments.fail("createCheckoutSession", { type: "StripeAPIError", message: "Stripe is down" });
+  const down = await app.post("/checkout", body, { headers });
+  assert.equal(down.status, 500);
+  assert.equal(down.json.code, "payment_provider_error");
+
+  // The admin error log links back to our request and to Stripe's
+  const [latest] = (await app.admin("GET", "/errors")).json;
+  assert.equal(latest.route, "POST /checkout");
+  assert.equal(latest.requestId, "edge-req-0002");
+  assert.ok("stripeRequestId" in latest);
+
+  // Admin routes use the same envelope
+  const fulfil = await app.admin("POST", "/sessions/cs_test_missing/fulfil");
+  assert.equal(fulfil.json.code, "not_found");
+  assert.equal(fulfil.json.error, "Checkout session not found");
+
+  // Our own bugs don't leak their message
+  assert.deepEqual(describeError(new TypeError("Cannot read properties of undefined")), {
+    status: 500,
+    body: { error: "Something went wrong", code: "internal_error" },
+  });
+  assert.equal(describeError(new HttpError(503, "not_configured", "Missing key")).body.code, "not_configured");
+});
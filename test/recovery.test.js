@@ -0,0 +1,190 @@
+// test/recovery.test.js
+// Abandoned checkouts: checkout.session.expired -> reminder email (to a local
+// SMTP sink) -> recovery link -> a fresh session for the same thing.
+import assert from "node:assert/strict";
+import net from "node:net";
+import { once } from "node:events";
+import { test } from "node:test";
+import { startServer } from "./helpers.js";
+
+// Just enough SMTP to accept mail from nodemailer and keep it
+async function startSmtpSink(t) {
+  const messages = [];
+  const server = net.createServer(socket => {
+    socket.setEncoding("utf8");
+    let buffer = "";
+    let reading = false;
+    let envelope = { to: [] };
+    socket.write("220 sink ESMTP\r\n");
+    socket.on("data", chunk => {
+      buffer += chunk;
+      while (buffer) {
+        if (reading) {
+          const end = buffer.indexOf("\r\n.\r\n");
+          if (end === -1) return;
+          messages.push({ ...envelope, raw: buffer.slice(0, end) });
+          buffer = buffer.slice(end + 5);
+          reading = false;
+          envelope = { to: [] };
+          socket.write("250 OK\r\n");
+          continue;
+        }
+        const eol = buffer.indexOf("\r\n");
+        if (eol === -1) return;
+        const line = buffer.slice(0, eol);
+        buffer = buffer.slice(eol + 2);
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === "EHLO" || command === "HELO") socket.write("250 sink\r\n");
+        else if (command === "RCPT") {
+          envelope.to.push(/<(.*)>/.exec(line)[1]);
+          socket.write("250 OK\r\n");
+        } else if (command === "DATA") {
+          reading = true;
+          socket.write("354 End data with <CR><LF>.<CR><LF>\r\n");
+        } else if (command === "QUIT") {
+          socket.end("221 Bye\r\n");
+          return;
+        } else socket.write("250 OK\r\n");
+      }
+    });
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  t.after(() => server.close());
+  return { url: `smtp://127.0.0.1:${server.address().port}`, messages };
+}
+
+async function startWithMail(t, env = {}) {
+  const sink = await startSmtpSink(t);
+  const app = await startServer(t, { env: { SMTP_URL: sink.url, PUBLIC_URL: "https://upsell.test", ...env } });
+  return { app, sink };
+}
+
+// Reminders go out after the webhook has answered
+async function waitFor(check) {
+  for (let i = 0; i < 100; i++) {
+    if (check()) return;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error("Timed out");
+}
+
+// Recovery and opt-out paths from an email (quoted-printable soft breaks removed)
+function linksIn(message) {
+  const body = message.raw.replace(/=\r\n/g, "").replace(/=3D/g, "=");
+  const [, token] = /\/checkout\/recover\/([A-Za-z0-9_-]+)/.exec(body);
+  return { recover: `/checkout/recover/${token}`, optOut: `/checkout/recover/${token}/opt-out` };
+}
+
+async function abandon(app, created) {
+  const session = app.payments.expireSession(created.json.id);
+  const res = await app.webhook("checkout.session.expired", session);
+  assert.equal(res.status, 200);
+  return session;
+}
+
+test("an abandoned cart gets one reminder with a link to a fresh session", async t => {
+  const { app, sink } = await startWithMail(t);
+  const created = await app.post("/checkout", { token: app.token(), items: ["price_featured", "price_highlight"] });
+  await abandon(app, created);
+
+  await waitFor(() => sink.messages.length === 1);
+  const [message] = sink.messages;
+  assert.deepEqual(message.to, ["recruiter@example.com"]);
+  assert.match(message.raw, /Subject: Your Golf Jobs upgrade is waiting/);
+  assert.match(message.raw, /List-Unsubscribe:\s+<https:\/\/upsell\.test\/checkout\/recover\/.+\/opt-out>/);
+  assert.match(message.raw, /Featured Job \+ Highlighted Job/);
+
+  // Following the link (as a mail scanner would) only shows a button
+  const { recover } = linksIn(message);
+  const sessionsBefore = app.payments.sessions().length;
+  const page = await app.get(recover);
+  assert.equal(page.status, 200);
+  assert.match(page.text, /<form method="post">/);
+  assert.match(page.text, /Featured Job \+ Highlighted Job/);
+  assert.equal(app.payments.sessions().length, sessionsBefore);
+
+  const res = await app.post(recover);
+  assert.equal(res.status, 303);
+  const fresh = app.payments.sessions().find(s => s.url === res.headers.get("location"));
+  assert.notEqual(fresh.id, created.json.id);
+  assert.equal(fresh.status, "open");
+  assert.equal(fresh.amount_total, 4800);
+  assert.equal(fresh.metadata.jobId, "job_1");
+  assert.equal(fresh.customer_email, "recruiter@example.com");
+
+  assert.equal((await app.get("/checkout/recover/not-a-token")).status, 404);
+  assert.equal((await app.post("/checkout/recover/not-a-token")).status, 404);
+});
+
+test("a recovered credit checkout gets the same credit code back", async t => {
+  const { app, sink } = await startWithMail(t);
+  await app.purchase({ items: [{ price: "price_featured" }] });
+  const created = await app.post("/checkout/upgrade", { token: app.token() });
+  const original = app.payments.sessions().find(s => s.url === created.json.url);
+  await abandon(app, { json: { id: original.id } });
+
+  await waitFor(() => sink.messages.length === 1);
+  assert.match(sink.messages[0].raw.replace(/=\r\n/g, ""), /=C2=A329\.00 credit/);
+
+  const res = await app.post(linksIn(sink.messages[0]).recover);
+  assert.equal(res.status, 303);
+  const fresh = app.payments.sessions().find(s => s.url === res.headers.get("location"));
+  assert.notEqual(fresh.id, original.id);
+  assert.deepEqual(fresh.discounts, original.discounts);
+  assert.equal(fresh.amount_total, 1000);
+  assert.equal(fresh.metadata.credit_applied, "2900");
+  assert.equal(app.payments.coupons().length, 1);
+});
+
+test("reminders are limited per address and stop once the job is paid for", async t => {
+  const { app, sink } = await startWithMail(t);
+  const first = await app.post("/checkout", { token: app.token(), items: ["price_featured"] });
+  const second = await app.post("/checkout", { token: app.token({ jobId: "job_2" }), items: ["price_featured"] });
+  await abandon(app, first);
+  await abandon(app, second);
+  await waitFor(() => sink.messages.length === 1);
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.equal(sink.messages.length, 1);
+
+  // Paid for job_1 since - the link just goes back to the account page
+  const link = linksIn(sink.messages[0]).recover;
+  await app.purchase({ jobId: "job_1", items: [{ price: "price_featured" }] });
+  const res = await app.get(link);
+  assert.equal(res.status, 303);
+  assert.equal(res.headers.get("location"), app.config.redirectProfiles.account.success);
+});
+
+test("customers can opt out of reminders", async t => {
+  const { app, sink } = await startWithMail(t, { RECOVERY_EMAILS_PER_DAY: "5" });
+  await abandon(app, await app.post("/checkout", { token: app.token(), items: ["price_featured"] }));
+  await waitFor(() => sink.messages.length === 1);
+  const { optOut } = linksIn(sink.messages[0]);
+
+  // Following the link only asks; the button (or one-click POST) opts out
+  const page = await app.get(optOut);
+  assert.match(page.text, /<form method="post">/);
+  assert.match(page.text, /recruiter@example\.com/);
+  const done = await app.post(optOut, "List-Unsubscribe=One-Click", {
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+  });
+  assert.equal(done.status, 200);
+  assert.match(done.text, /won&#39;t get any more/);
+
+  await abandon(app, await app.post("/checkout", { token: app.token({ jobId: "job_2" }), items: ["price_featured"] }));
+  await new Promise(resolve => setTimeout(resolve, 150));
+  assert.equal(sink.messages.length, 1);
+});
+
+test("expired sessions from elsewhere, or without SMTP_URL, send nothing", async t => {
+  const { app, sink } = await startWithMail(t);
+  const foreign = app.payments.addPurchase({ email: "x@example.com", items: [{ price: "price_featured" }], source: "somewhere-else" });
+  assert.equal((await app.webhook("checkout.session.expired", { ...foreign, status: "expired" })).status, 200);
+
+  const quiet = await startServer(t);
+  const created = await quiet.post("/checkout", { token: quiet.token(), items: ["price_featured"] });
+  await abandon(quiet, created);
+
+  await new Promise(resolve => setTimeout(resolve, 150));
+  assert.equal(sink.messages.length, 0);
+});
@@ -0,0 +1,296 @@
+// test/routes.test.js
+// Webhooks, entitlements, plans, the billing portal, admin, embeds, health and Redis outages.
+import assert from "node:assert/strict";
+import net from "node:net";
+import { once } from "node:events";
+import { test } from "node:test";
+import { startServer } from "./helpers.js";
+
+// Just enough of a Redis server for the rate limits and the checkout lock.
+// commands lists what it was sent; stop() drops every connection.
+async function startFakeRedis(port = 0) {
+  const commands = [];
+  const sockets = new Set();
+  const reply = name =>
+    ({ MULTI: "+OK", INCR: "+QUEUED", PTTL: "+QUEUED", EXEC: "*2\r\n:1\r\n:-1", PEXPIRE: ":1", EVAL: ":1" })[name] || "+OK";
+
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    let buffer = "";
+    socket.on("data", chunk => {
+      buffer += chunk;
+      // *<n>\r\n then n times $<len>\r\n<arg>\r\n
+      for (;;) {
+        const lines = buffer.split("\r\n");
+        const count = Number(lines[0].slice(1));
+        if (!count || lines.length < 2 * count + 2) return;
+        const args = lines.slice(1, 2 * count + 1).filter((_, i) => i % 2 === 1);
+        buffer = lines.slice(2 * count + 1).join("\r\n");
+        commands.push(args);
+        socket.write(`${reply(args[0].toUpperCase())}\r\n`);
+      }
+    });
+  });
+  server.listen(port, "127.0.0.1");
+  await once(server, "listening");
+  return {
+    port: server.address().port,
+    commands,
+    async stop() {
+      for (const socket of sockets) socket.destroy();
+      server.close();
+      await once(server, "close");
+    },
+  };
+}
+
+function planSubscription(customer, { id = "sub_plan", status = "active" } = {}) {
+  return {
+    id,
+    object: "subscription",
+    customer,
+    status,
+    items: { data: [{ price: { id: "price_plan" } }] },
+    current_period_end: Math.floor(Date.now() / 1000) + 30 * 86400,
+    cancel_at_period_end: false,
+  };
+}
+
+test("webhooks need a valid signature and are processed once", async t => {
+  const app = await startServer(t);
+  const session = app.payments.addPurchase({ email: "recruiter@example.com", jobId: "job_1", items: [{ price: "price_featured" }] });
+
+  const forged = await app.webhook("checkout.session.completed", session, { secret: "whsec_wrong" });
+  assert.equal(forged.status, 400);
+  assert.deepEqual((await app.get("/entitlements?jobId=job_1")).json.upgrades, []);
+
+  const { body, signature } = app.payments.webhook("checkout.session.completed", session, "whsec_test");
+  const deliver = () => app.post("/webhooks/stripe", body, { headers: { "Stripe-Signature": signature } });
+  assert.deepEqual((await deliver()).json, { received: true });
+  assert.deepEqual((await deliver()).json, { received: true, duplicate: true });
+
+  const ignored = await app.webhook("invoice.created", { id: "in_1" });
+  assert.equal(ignored.json.ignored, true);
+});
+
+test("GET /entitlements and POST /entitlements/batch report what each job has", async t => {
+  const app = await startServer(t);
+  await app.purchase({ jobId: "job_1", items: [{ price: "price_bundle" }] });
+
+  const one = await app.get("/entitlements?jobId=job_1");
+  assert.equal(one.status, 200);
+  assert.deepEqual(one.json.upgrades.sort(), ["bundle", "prod_featured", "prod_highlight"]);
+  assert.equal((await app.get("/entitlements")).status, 400);
+
+  const batch = await app.post("/entitlements/batch", { jobIds: ["job_1", "job_2", "job_1"] });
+  assert.deepEqual(Object.keys(batch.json.jobs), ["job_1", "job_2"]);
+  assert.deepEqual(batch.json.jobs.job_2.upgrades, []);
+  assert.equal((await app.post("/entitlements/batch", { jobIds: [] })).status, 400);
+});
+
+test("upgrades are warned about before they run out, then expire and downgrade the job", async t => {
+  const app = await startServer(t);
+  const start = Date.now();
+  const day = 24 * 60 * 60 * 1000;
+  await app.purchase({ jobId: "job_1", items: [{ price: "price_featured" }] });
+  // Bought again, so the first one carries straight on and needs no warning
+  await app.purchase({ jobId: "job_2", items: [{ price: "price_featured" }] });
+  await app.purchase({ jobId: "job_2", items: [{ price: "price_featured" }] });
+
+  assert.deepEqual(app.sweepEntitlements(start + 26 * day), { warned: 0, expired: 0 });
+  // EXPIRY_WARNING_DAYS (3) before the default 30 days are up, and only once
+  assert.deepEqual(app.sweepEntitlements(start + 28 * day), { warned: 1, expired: 0 });
+  assert.deepEqual(app.sweepEntitlements(start + 28 * day), { warned: 0, expired: 0 });
+
+  assert.deepEqual(app.sweepEntitlements(start + 31 * day), { warned: 0, expired: 2 });
+  const entitlements = (await app.get("/entitlements?jobId=job_1")).json;
+  assert.deepEqual(entitlements.upgrades, []);
+  assert.deepEqual(entitlements.entitlements.map(row => row.status), ["expired"]);
+  const job = (await app.admin("GET", "/customers?email=recruiter@example.com")).json.jobs.job_1;
+  assert.equal(job.status, "downgraded");
+  assert.equal(job.reason, "expired");
+});
+
+test("an active plan covers upgrades without a checkout, until it lapses", async t => {
+  const app = await startServer(t, { env: { SUBSCRIPTION_PRICE_IDS: "price_plan" } });
+  const customer = app.payments.addCustomer({ email: "recruiter@example.com" });
+  assert.equal((await app.webhook("customer.subscription.created", planSubscription(customer.id))).status, 200);
+
+  const covered = await app.post("/checkout", { token: app.token(), items: ["price_featured"] });
+  assert.equal(covered.status, 200);
+  assert.equal(covered.json.coveredBySubscription.subscription, "sub_plan");
+  assert.equal(app.payments.sessions().length, 0);
+  assert.ok((await app.get("/entitlements?jobId=job_1")).json.upgrades.length > 0);
+
+  const again = await app.post("/checkout", { token: app.token(), items: ["price_plan"] });
+  assert.equal(again.status, 409);
+
+  await app.webhook("customer.subscription.deleted", planSubscription(customer.id, { status: "canceled" }));
+  assert.deepEqual((await app.get("/entitlements?jobId=job_1")).json.upgrades, []);
+});
+
+test("POST /billing/portal opens the customer's portal", async t => {
+  const app = await startServer(t);
+
+  const unknown = await app.post("/billing/portal", { token: app.token() });
+  assert.equal(unknown.status, 404);
+
+  app.payments.addCustomer({ email: "recruiter@example.com" });
+  const res = await app.post("/billing/portal", { token: app.token() });
+  assert.equal(res.status, 200);
+  assert.match(res.json.url, /^https:\/\/billing\.fake\.test\//);
+
+  assert.equal((await app.post("/billing/portal", { token: app.token(), return: "nowhere" })).status, 400);
+  assert.equal((await app.post("/billing/portal", {})).status, 401);
+
+  app.payments.fail("createPortalSession", { type: "StripeAPIError", message: "Stripe is down" });
+  assert.equal((await app.post("/billing/portal", { token: app.token() })).status, 500);
+});
+
+test("the admin API needs the admin token and audits lookups", async t => {
+  const app = await startServer(t);
+  await app.purchase({ items: [{ price: "price_featured" }] });
+
+  assert.equal((await app.get("/admin/diag")).status, 401);
+  assert.equal((await app.get("/admin/diag", { headers: { Authorization: "Bearer wrong" } })).status, 401);
+
+  const customers = await app.admin("GET", "/customers?email=Recruiter@example.com");
+  assert.equal(customers.status, 200);
+  assert.equal(customers.json.purchases.length, 1);
+  assert.equal(customers.json.credit[0].tiers[0].total, 2900);
+  assert.equal(customers.json.jobs.job_1.status, "upgraded");
+
+  await app.admin("GET", "/logos");
+  await app.admin("GET", "/callbacks?status=dead");
+  const audit = await app.admin("GET", "/audit");
+  assert.deepEqual(
+    audit.json.slice(0, 4).map(entry => entry.action),
+    ["audit.view", "callbacks.view", "logos.view", "customer.lookup"]
+  );
+  assert.equal(audit.json[1].status, "dead");
+});
+
+test("POST /admin/sessions/:id/fulfil re-runs fulfilment for paid sessions", async t => {
+  const app = await startServer(t);
+  const created = await app.post("/checkout", { token: app.token(), items: ["price_featured"] });
+
+  const unpaid = await app.admin("POST", `/sessions/${created.json.id}/fulfil`);
+  assert.equal(unpaid.status, 409);
+
+  // Paid, but the webhook never arrived
+  app.payments.completeSession(created.json.id);
+  const res = await app.admin("POST", `/sessions/${created.json.id}/fulfil`);
+  assert.equal(res.status, 200);
+  assert.deepEqual((await app.get("/entitlements?jobId=job_1")).json.upgrades, ["prod_featured"]);
+
+  assert.equal((await app.admin("POST", "/sessions/cs_test_missing/fulfil")).status, 404);
+});
+
+test("POST /admin/ledger/backfill imports past sessions into the live ledger", async t => {
+  const app = await startServer(t);
+  // Paid before the ledger existed, so no webhook recorded it
+  app.payments.addPurchase({ email: "recruiter@example.com", jobId: "job_1", items: [{ price: "price_featured" }] });
+  const purchases = async () => (await app.admin("GET", "/customers?email=recruiter@example.com")).json.purchases;
+  assert.equal((await purchases()).length, 0);
+
+  for (let run = 0; run < 2; run++) {
+    const res = await app.admin("POST", "/ledger/backfill");
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.json, { sessions: 1, rows: 1 });
+  }
+  assert.deepEqual((await purchases()).map(row => row.productId), ["prod_featured"]);
+
+  const [latest] = (await app.admin("GET", "/audit?limit=5")).json.filter(entry => entry.action === "ledger.backfill");
+  assert.deepEqual({ sessions: latest.sessions, rows: latest.rows }, { sessions: 1, rows: 1 });
+});
+
+test("GET /logo-carousel renders the active logos for framing", async t => {
+  const app = await startServer(t);
+  await app.admin("PATCH", "/logos/r-and-a", { active: false });
+
+  const res = await app.get("/logo-carousel?title=<b>Partners</b>&bg=%23000");
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-security-policy"), /frame-ancestors/);
+  assert.equal(res.headers.get("x-frame-options"), null);
+  assert.match(res.text, /&lt;b&gt;Partners&lt;\/b&gt;/);
+  assert.doesNotMatch(res.text, /R&amp;A/);
+});
+
+test("GET /pricing-widget shows credit only for a signed token", async t => {
+  const app = await startServer(t);
+  await app.purchase({ items: [{ price: "price_featured" }] });
+
+  const anonymous = await app.get("/pricing-widget");
+  assert.equal(anonymous.status, 200);
+  assert.equal(anonymous.headers.get("cache-control"), "public, max-age=60");
+  assert.doesNotMatch(anonymous.text, /data-token="ey/);
+
+  const signedIn = await app.get(`/pricing-widget?token=${app.token()}&embed=1`);
+  assert.equal(signedIn.headers.get("cache-control"), "no-store");
+  assert.match(signedIn.text, /data-embedded="true"/);
+  assert.match(signedIn.text, /£10\.00/);
+
+  const script = await app.get("/pricing-widget.js");
+  assert.equal(script.status, 200);
+  assert.match(script.headers.get("content-type"), /javascript/);
+});
+
+test("health endpoints report config and readiness", async t => {
+  const app = await startServer(t);
+
+  const health = await app.get("/health");
+  assert.equal(health.json.stripe, true);
+  assert.equal(health.json.productIds, 2);
+
+  assert.equal((await app.get("/health/ready")).status, 503);
+  await app.checkReadiness();
+  const ready = await app.get("/health/ready");
+  assert.equal(ready.status, 200);
+  assert.equal(ready.json.status, "ready");
+
+  app.payments.updatePrice("price_bundle", { active: false });
+  await app.checkReadiness();
+  const notReady = await app.get("/health/ready");
+  assert.equal(notReady.status, 503);
+  assert.ok(notReady.json.failed.length > 0);
+
+  assert.equal((await app.get("/")).status, 404);
+});
+
+test("an unreachable REDIS_URL falls back to in-memory rate limits", async t => {
+  // Nothing listens on port 1: startup must give up on Redis rather than hang
+  const app = await startServer(t, { env: { REDIS_URL: "redis://127.0.0.1:1", RATE_LIMIT_PER_IP: "1" } });
+
+  const body = { token: app.token(), items: ["price_featured"] };
+  assert.equal((await app.post("/checkout", body)).status, 200);
+  const limited = await app.post("/checkout", body);
+  assert.equal(limited.status, 429);
+  assert.equal(limited.json.code, "rate_limited");
+});
+
+test("checkout keeps working through a Redis outage and uses Redis again once it is back", async t => {
+  let redis = await startFakeRedis();
+  const { port } = redis;
+  t.after(() => redis.stop());
+  const app = await startServer(t, { env: { REDIS_URL: `redis://127.0.0.1:${port}`, RATE_LIMIT_PER_IP: "100" } });
+  // A new job each time, so no request is answered from the idempotency replay
+  let jobs = 0;
+  const upgrade = () => app.post("/checkout/upgrade", { token: app.token({ jobId: `job_${++jobs}` }) });
+
+  assert.equal((await upgrade()).status, 200);
+  assert.ok(redis.commands.some(([name]) => name === "SET"), "the checkout lock is taken in Redis");
+
+  // Limits and the lock fail open while Redis is gone
+  await redis.stop();
+  assert.equal((await upgrade()).status, 200);
+
+  // ...and the client reconnects by itself
+  redis = await startFakeRedis(port);
+  const lockedInRedis = () => redis.commands.some(([name]) => name === "SET");
+  for (let i = 0; i < 50 && !lockedInRedis(); i++) {
+    assert.equal((await upgrade()).status, 200);
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  assert.ok(lockedInRedis(), "the checkout lock is back in Redis");
+});
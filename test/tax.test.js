@@ -0,0 +1,127 @@
+// test/tax.test.js
+// VAT on checkouts: automatic and fixed tax, VAT number collection, invoices and
+// the receipt endpoint, and credit that comes out right whether prices include
+// VAT or not.
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { loadConfig } from "../lib/config.js";
+import { BASE_ENV, seedCatalogue, sessionIdFrom, startServer } from "./helpers.js";
+
+// The usual catalogue with every price set to include VAT or not
+function taxedCatalogue(taxBehavior) {
+  return payments => {
+    seedCatalogue(payments);
+    for (const id of ["price_featured", "price_highlight", "price_bundle", "price_plan"]) {
+      payments.updatePrice(id, { tax_behavior: taxBehavior });
+    }
+    payments.addTaxRate({ id: "txr_vat", percentage: 20, inclusive: taxBehavior === "inclusive" });
+  };
+}
+
+// The single upgrade bought through /checkout, so it is taxed like any other sale
+async function buyFeatured(app) {
+  const created = await app.post("/checkout", { token: app.token(), items: ["price_featured"] });
+  return app.pay(created.json.id);
+}
+
+function lastSessionParams(app) {
+  return app.payments.calls.filter(call => call.method === "createCheckoutSession").at(-1).args[0];
+}
+
+test("automatic tax sessions collect VAT numbers and get an invoice for the receipt", async t => {
+  const app = await startServer(t, { env: { TAX_MODE: "automatic" }, seed: taxedCatalogue("exclusive") });
+  const created = await app.post("/checkout", { token: app.token(), items: ["price_featured"] });
+  assert.equal(created.status, 200);
+
+  const params = lastSessionParams(app);
+  assert.deepEqual(params.automatic_tax, { enabled: true });
+  assert.deepEqual(params.tax_id_collection, { enabled: true });
+  assert.equal(params.invoice_creation.enabled, true);
+  assert.deepEqual(params.invoice_creation.invoice_data.metadata, { jobId: "job_1" });
+  assert.equal(params.billing_address_collection, "required");
+
+  // Not paid yet - nothing to show
+  assert.equal((await app.get(`/checkout/session/${created.json.id}/receipt`)).status, 409);
+
+  app.payments.completeSession(created.json.id, { taxId: "GB123456789" });
+  const session = await app.get(`/checkout/session/${created.json.id}`);
+  assert.equal(session.json.amountTax, 580);
+  assert.equal(session.json.amountTotal, 3480);
+
+  const receipt = await app.get(`/checkout/session/${created.json.id}/receipt`);
+  assert.equal(receipt.status, 200);
+  assert.deepEqual(receipt.json.taxIds, [{ type: "gb_vat", value: "GB123456789" }]);
+  assert.match(receipt.json.invoice.number, /^FAKE-/);
+  assert.match(receipt.json.invoice.pdfUrl, /\/pdf$/);
+  assert.match(receipt.json.receiptUrl, /^https:\/\/pay\.fake\.test\/receipts\//);
+  assert.equal(receipt.json.amountTax, 580);
+
+  assert.equal((await app.get("/checkout/session/cs_test_nope/receipt")).status, 404);
+});
+
+test("credit leaves VAT out for tax-exclusive tiers", async t => {
+  const app = await startServer(t, { env: { TAX_MODE: "automatic" }, seed: taxedCatalogue("exclusive") });
+  // £29 + £5.80 VAT for the single upgrade
+  const paid = await buyFeatured(app);
+  assert.equal(paid.amount_total, 3480);
+
+  const res = await app.post("/checkout/upgrade", { token: app.token() });
+  assert.equal(res.status, 200);
+  assert.equal(res.json.credit, 2900);
+  assert.equal(res.json.balance, 1000);
+
+  // The customer pays the £10 difference plus its VAT, and Checkout may save the
+  // address and VAT number it collects onto their customer record
+  const params = lastSessionParams(app);
+  assert.deepEqual(params.customer_update, { address: "auto", name: "auto" });
+  const session = app.payments.sessions().find(s => s.id === sessionIdFrom(res.json.url));
+  assert.equal(session.amount_total, 1200);
+  assert.equal(session.total_details.amount_tax, 200);
+});
+
+test("credit counts what was paid including VAT for tax-inclusive tiers", async t => {
+  const app = await startServer(t, {
+    env: { TAX_MODE: "fixed", TAX_RATE_IDS: "txr_vat", TAX_BEHAVIOR: "inclusive" },
+    seed: taxedCatalogue("inclusive"),
+  });
+  const paid = await buyFeatured(app);
+  assert.equal(paid.amount_total, 2900);
+  assert.equal(paid.total_details.amount_tax, 483);
+
+  const res = await app.post("/checkout/upgrade", { token: app.token() });
+  assert.equal(res.json.credit, 2900);
+  assert.equal(res.json.balance, 1000);
+  const params = lastSessionParams(app);
+  assert.deepEqual(params.line_items, [{ price: "price_bundle", quantity: 1, tax_rates: ["txr_vat"] }]);
+  const session = app.payments.sessions().find(s => s.id === sessionIdFrom(res.json.url));
+  assert.equal(session.amount_total, 1000);
+  assert.equal(session.total_details.amount_tax, 167);
+
+  // The admin view works credit out the same way
+  const customer = await app.admin("GET", "/customers?email=recruiter@example.com");
+  assert.equal(customer.json.credit[0].tiers[0].total, 2900);
+});
+
+test("without TAX_MODE sessions are unchanged, and tax settings are checked", async t => {
+  const app = await startServer(t);
+  const created = await app.post("/checkout", { token: app.token(), items: ["price_featured"] });
+  const params = lastSessionParams(app);
+  for (const key of ["automatic_tax", "tax_id_collection", "invoice_creation", "customer_update"]) {
+    assert.equal(params[key], undefined, key);
+  }
+  assert.equal(params.line_items[0].tax_rates, undefined);
+
+  await app.pay(created.json.id);
+  const receipt = await app.get(`/checkout/session/${created.json.id}/receipt`);
+  assert.equal(receipt.json.invoice, null);
+  assert.ok(receipt.json.receiptUrl);
+
+  const problems = env => loadConfig({ ...BASE_ENV, ...env }).problems.map(p => p.setting);
+  assert.ok(problems({ TAX_MODE: "sometimes" }).includes("TAX_MODE"));
+  assert.ok(problems({ TAX_MODE: "fixed" }).includes("TAX_RATE_IDS"));
+  assert.ok(problems({ TAX_MODE: "fixed", TAX_RATE_IDS: "vat20" }).includes("TAX_RATE_IDS"));
+  assert.ok(problems({ TAX_BEHAVIOR: "both" }).includes("TAX_BEHAVIOR"));
+  const { config } = loadConfig({ ...BASE_ENV, TAX_MODE: "automatic", INVOICE_CREATION: "false" });
+  assert.equal(config.taxIdCollection, true);
+  assert.equal(config.invoiceCreation, false);
+});